@@ -0,0 +1,182 @@
+/**
+ * Geotransport — service worker
+ *
+ *   shell    index.html, board.html, manifest, icon and the CDN scripts/fonts:
+ *            network first for pages (a deploy shows up on the next load), cache first
+ *            for the rest
+ *   static   the GTFS bundle (stops.json, stop-index.json, static-lookup.json,
+ *            calendar.json, transfers.json, search-index.json, shapes/, stop-times/,
+ *            and the same under /agencies/<id>/): cache first. The big files are
+ *            precached by the version check on activation; per-line chunks are cached
+ *            as the map loads them. A bundle is dropped and re-fetched when its
+ *            feed-version.json (written by the build script next to
+ *            static-lookup.json) reports a new `version`.
+ *   tiles    map tiles, cache first, trimmed to TILE_MAX entries
+ *   api      network first for /api/feeds (so the map can start offline) and
+ *            /api/departures (so stop boards still show the timetable); answers from
+ *            the cache carry "X-GT-Offline: 1". Every other /api/* is network only —
+ *            the page keeps its own last realtime snapshot.
+ */
+
+const SHELL_CACHE  = 'gt-shell-v1';
+const STATIC_CACHE = 'gt-static';
+const TILE_CACHE   = 'gt-tiles';
+const TILE_MAX     = 600;
+const API_CACHE    = 'gt-api';
+const API_MAX      = 200;
+const API_OFFLINE  = ['/api/feeds', '/api/departures'];
+
+const SHELL = ['/', '/board', '/manifest.webmanifest', '/icon.svg'];
+const BUNDLE = ['stops.json', 'stop-index.json', 'static-lookup.json', 'calendar.json', 'transfers.json', 'search-index.json'];
+const VERSION_FILE = 'feed-version.json';
+
+const CDN_HOSTS  = ['cdnjs.cloudflare.com', 'fonts.googleapis.com', 'fonts.gstatic.com'];
+const TILE_HOSTS = /(^|\.)basemaps\.cartocdn\.com$|(^|\.)tile\.openstreetmap\.org$/;
+
+// "/agencies/stib/stops.json" → "/agencies/stib/", anything else → "/"
+function bundleBase(path) {
+  return path.match(/^\/agencies\/[^/]+\//)?.[0] || '/';
+}
+
+function isBundle(path) {
+  const rest = path.slice(bundleBase(path).length);
+  return BUNDLE.includes(rest) || /^(shapes|stop-times)\/[^/]+\.json$/.test(rest);
+}
+
+async function precacheBundle(base) {
+  const cache = await caches.open(STATIC_CACHE);
+  // Best effort: a bundle may lack optional files (calendar.json, transfers.json, search-index.json)
+  await Promise.all(BUNDLE.map(async f => {
+    try {
+      const r = await fetch(base + f, { cache: 'no-cache' });
+      if (r.ok) await cache.put(base + f, r);
+    } catch (_) { /* offline — filled in on first use */ }
+  }));
+}
+
+// The bundle's feed.version — from feed-version.json, or static-lookup.json for
+// bundles built before feed-version.json existed. Throws when offline.
+async function fetchVersion(base) {
+  const r = await fetch(base + VERSION_FILE, { cache: 'no-store' });
+  if (r.ok) return (await r.json()).version;
+  const sl = await fetch(base + 'static-lookup.json', { cache: 'no-store' });
+  if (!sl.ok) throw new Error(`HTTP ${sl.status}`);
+  return (await sl.json()).feed?.version || sl.headers.get('ETag');
+}
+
+/**
+ * Compare each cached bundle's feed-version.json with the network copy; drop the
+ * bundles whose version changed and tell open pages. Offline → nothing happens.
+ */
+async function checkVersions() {
+  const cache = await caches.open(STATIC_CACHE);
+  const keys  = await cache.keys();
+  const bases = new Set(['/', ...keys.map(k => bundleBase(new URL(k.url).pathname))]);
+  const updated = [];
+
+  for (const base of bases) {
+    let current;
+    try { current = await fetchVersion(base); } catch (_) { continue; }
+    if (!current) continue;
+
+    const stored = await cache.match(base + VERSION_FILE);
+    const previous = stored ? (await stored.json()).version : null;
+    if (previous === current) continue;
+
+    for (const k of keys) {
+      const path = new URL(k.url).pathname;
+      if (bundleBase(path) === base && isBundle(path)) await cache.delete(k);
+    }
+    await cache.put(base + VERSION_FILE, new Response(JSON.stringify({ version: current }), {
+      headers: { 'Content-Type': 'application/json' },
+    }));
+    if (previous !== null) updated.push(base);
+    await precacheBundle(base);
+  }
+
+  if (updated.length) {
+    for (const client of await self.clients.matchAll()) client.postMessage({ type: 'static-updated', bases: updated });
+  }
+}
+
+self.addEventListener('install', e => {
+  e.waitUntil((async () => {
+    const shell = await caches.open(SHELL_CACHE);
+    await shell.addAll(SHELL);
+    await self.skipWaiting();   // the bundle is precached by checkVersions() on activate
+  })());
+});
+
+self.addEventListener('activate', e => {
+  e.waitUntil((async () => {
+    for (const name of await caches.keys()) {
+      if (name.startsWith('gt-shell-') && name !== SHELL_CACHE) await caches.delete(name);
+    }
+    await self.clients.claim();
+    await checkVersions();
+  })());
+});
+
+// Pages ask for a version check once their static data has loaded
+self.addEventListener('message', e => {
+  if (e.data?.type === 'check-version') e.waitUntil(checkVersions());
+});
+
+// Drop the oldest entries (cache.keys() is in insertion order)
+async function trimCache(cache, max) {
+  const keys = await cache.keys();
+  for (const k of keys.slice(0, Math.max(0, keys.length - max))) await cache.delete(k);
+}
+
+async function cacheFirst(request, cacheName, trim) {
+  const cache = await caches.open(cacheName);
+  const hit = await cache.match(request);
+  if (hit) return hit;
+  const resp = await fetch(request);
+  if (resp.ok || resp.type === 'opaque') {
+    await cache.put(request, resp.clone());
+    if (trim) await trimCache(cache, trim);
+  }
+  return resp;
+}
+
+async function networkFirst(request, cacheName, { key = request, trim, mark = false } = {}) {
+  const cache = await caches.open(cacheName);
+  try {
+    const resp = await fetch(request);
+    if (resp.ok) {
+      await cache.delete(key);   // re-insert so trimming drops the least recently fetched
+      await cache.put(key, resp.clone());
+      if (trim) await trimCache(cache, trim);
+    }
+    return resp;
+  } catch (err) {
+    const hit = await cache.match(key);
+    if (!hit) throw err;
+    if (!mark) return hit;
+    const headers = new Headers(hit.headers);
+    headers.set('X-GT-Offline', '1');
+    return new Response(hit.body, { status: hit.status, headers });
+  }
+}
+
+self.addEventListener('fetch', e => {
+  const req = e.request;
+  if (req.method !== 'GET') return;
+  const url = new URL(req.url);
+
+  if (url.origin === location.origin) {
+    if (req.mode === 'navigate') {
+      const page = url.pathname.startsWith('/board') ? '/board' : '/';
+      return e.respondWith(networkFirst(req, SHELL_CACHE, { key: page }));
+    }
+    if (API_OFFLINE.includes(url.pathname)) return e.respondWith(networkFirst(req, API_CACHE, { trim: API_MAX, mark: true }));
+    if (url.pathname.startsWith('/api/')) return;
+    if (isBundle(url.pathname)) return e.respondWith(cacheFirst(url.pathname, STATIC_CACHE));
+    if (SHELL.includes(url.pathname)) return e.respondWith(cacheFirst(req, SHELL_CACHE));
+    return;
+  }
+
+  if (CDN_HOSTS.includes(url.hostname)) return e.respondWith(cacheFirst(req, SHELL_CACHE));
+  if (TILE_HOSTS.test(url.hostname)) return e.respondWith(cacheFirst(req, TILE_CACHE, TILE_MAX));
+});
@@ -2,53 +2,120 @@
 /**
  * build-static-lookup.js — Geotransport
  *
- * Generates files from De Lijn GTFS static zip:
+ * Generates files from an agency's GTFS static zip (see src/feeds.js). Paths below are
+ * for the default agency (De Lijn); other agencies get the same layout under
+ * public/agencies/{agency}/, with line codes and trip keys per the registry's `ids`.
  *
  *   public/static-lookup.json   ~1 MB   committed to git
- *     lines, routes, trips (with shapeId), agency, feed
+ *     lines, routes, trips (with shapeId, and wa/ba: wheelchair_accessible / bikes_allowed,
+ *     1 yes 2 no, when set), variants, agency, feed
+ *     trips[key] is the most common variant of a three-part trip key;
+ *     variants[key] lists every variant (service ids, headsign, shape, stop-times entry)
+ *     for keys whose trips differ by service day
+ *
+ *   public/feed-version.json    committed to git
+ *     { version, startDate, endDate } — the service worker (public/sw.js) drops its
+ *     cached bundle when `version` changes
+ *
+ *   public/calendar.json        committed to git
+ *     base date + service_id → { d: weekday mask Mon..Sun, s/e: range, add/del: exceptions }
+ *     all dates are day offsets from `base`, so the frontend can tell which variant runs today
  *
  *   public/stops.json           ~3 MB   committed to git (needed for manual deploys)
- *     stop_id → { n, a, o }
+ *     stop_id → { n, a, o, w?, p?, c?, t? }
+ *     w: wheelchair_boarding (1 yes, 2 no; platforms inherit their station's), p: parent_station,
+ *     c: platform_code, t: location_type — each only when set (t when not 0)
+ *
+ *   public/stop-tiles/{x}_{y}.json  deployed only (gitignored)
+ *     stops.json split into web-mercator tiles at zoom STOP_TILE_Z, plus index.json
+ *     ({ z, tiles: ["x_y", ...] }) — read by the worker's /api/stops bbox queries
  *
  *   public/stop-index.json      ~700 KB  committed to git
  *     stop_id → [lineCode, ...]   reverse index so the frontend can answer
  *     "which lines serve stop X?" without loading all stop-times files
  *
+ *   public/search-index.json    ~1 MB   deployed only (gitignored)
+ *     { munis, stops: [[name, muni, lat, lon, lineCount, [stop_id, ...], stepFree], ...],
+ *       lines: [[lineCode, name, [longName / headsign, ...]], ...] }
+ *     what the search box matches: stops grouped into places (a station's platforms,
+ *     same-named stops across the street) and every line, running or not
+ *
  *   public/shapes/{lineCode}.json   deployed only (gitignored)
  *     one file per line code (~1024 files), each: { shapeId: [[lat,lon],...] }
  *
  *   public/stop-times/{lineCode}.json  deployed only (gitignored)
  *     one file per line code (~1024 files), each: { tripKey: [{s,a},...] }
+ *     distinct stop lists of one key are stored once each, as "tripKey", "tripKey:1", …
+ *     plus "_svc": { entryKey: [service_id, ...] } so the planner can skip trips not running today
+ *
+ *   public/transfers.json           deployed only (gitignored)
+ *     stop_id → [[stop_id, walkSeconds], ...]   footpaths to stops within FOOTPATH_M
+ *
+ * Nothing is written until the whole zip has been parsed and validated: missing
+ * required files, dangling stop/trip/route/service/shape references, invalid
+ * coordinates and out-of-order stop sequences are reported as errors or warnings.
+ * Any error aborts the build (exit 1) and leaves the previous bundle in place.
+ * The report — issues plus a diff against the previous build (lines and stops added
+ * or removed, changed headsigns) — is printed, and written as JSON with --report.
  *
  * Usage:
- *   node scripts/build-static-lookup.js               (downloads from API)
- *   node scripts/build-static-lookup.js gtfs.zip      (use local file)
+ *   node scripts/build-static-lookup.js                   (De Lijn, downloads from API)
+ *   node scripts/build-static-lookup.js gtfs.zip          (De Lijn, use local file)
+ *   node scripts/build-static-lookup.js stib [gtfs.zip]   (any agency in src/feeds.js)
+ *
+ * Options:
+ *   --check           validate and diff only, write nothing
+ *   --force           write the bundle even when validation found errors
+ *   --report=<file>   write the validation and diff report as JSON
  *
- * Secret: DL_GTFS = Ocp-Apim-Subscription-Key
+ * Secrets: the registry's static source per agency — DL_GTFS = Ocp-Apim-Subscription-Key,
+ *          STIB_GTFS_URL / TEC_GTFS_URL / SNCB_GTFS_URL = full download URL
  */
 
-import { readFileSync, writeFileSync, mkdirSync } from 'fs';
-import { resolve, dirname } from 'path';
+import { readFileSync, writeFileSync, mkdirSync, existsSync } from 'fs';
+import { createHash } from 'crypto';
+import { resolve, dirname, relative } from 'path';
 import { fileURLToPath } from 'url';
 import JSZip from 'jszip';
+import { FEEDS, DEFAULT_AGENCY, feedRequest, sourceSecret, agencyBase, lineFileName, tripKeyOf as feedTripKey, lineCodeOf as feedLineCode } from '../src/feeds.js';
 
-const __dir = dirname(fileURLToPath(import.meta.url));
-const pub   = p => resolve(__dir, '../public', p);
+const args      = process.argv.slice(2).filter(a => !a.startsWith('--'));
+const flags     = process.argv.slice(2).filter(a => a.startsWith('--'));
+const CHECK     = flags.includes('--check');
+const FORCE     = flags.includes('--force');
+const REPORT    = flags.find(f => f.startsWith('--report='))?.slice('--report='.length) || null;
+const AGENCY    = FEEDS[args[0]] ? args[0] : DEFAULT_AGENCY;
+const localPath = FEEDS[args[0]] ? args[1] : args[0];
+const FEED      = FEEDS[AGENCY];
 
-const GTFS_URL = 'https://api.delijn.be/gtfs/static/v3/gtfs_transit.zip';
-const API_KEY  = process.env.DL_GTFS;
+const __dir  = dirname(fileURLToPath(import.meta.url));
+const outDir = resolve(__dir, '../public', '.' + agencyBase(AGENCY));
+const pub    = p => resolve(outDir, p);
+
+// Output files are collected here and only written once the feed has validated (see "Report + write")
+const outputs = [];   // [path, contents, note]
+const output  = (path, data, note) => outputs.push([path, data, note]);
+
+// Line code / trip key derivation (see `ids` in src/feeds.js)
+const DELIJN_IDS = FEED.ids === 'delijn';
+const tripKeyOf  = tripId => feedTripKey(AGENCY, tripId);
+const lineCodeOf = (tripId, routeId) => feedLineCode(AGENCY, tripId, routeId);
+// Line codes double as file names under shapes/ and stop-times/ (the frontend and worker map them the same way)
+const fileName   = lineFileName;
+
+console.log(`Agency: ${FEED.name} → ${outDir}`);
 
 // ── Get zip buffer ─────────────────────────────────────────────────────────────
 let zipBuf;
-const localPath = process.argv[2];
 if (localPath) {
   console.log(`Reading ${localPath}...`);
   zipBuf = readFileSync(localPath);
 } else {
-  if (!API_KEY) { console.error('Set DL_GTFS env var.'); process.exit(1); }
+  const req = feedRequest(FEED.static, process.env);
+  if (!req) { console.error(`Set ${sourceSecret(FEED.static)} env var.`); process.exit(1); }
   console.log('Downloading GTFS static zip...');
-  const resp = await fetch(GTFS_URL, {
-    headers: { 'Cache-Control': 'no-cache', 'Ocp-Apim-Subscription-Key': API_KEY },
+  const resp = await fetch(req.url, {
+    headers: { 'Cache-Control': 'no-cache', ...req.headers },
   });
   if (!resp.ok) { console.error(`HTTP ${resp.status}`); process.exit(1); }
   const total = Number(resp.headers.get('content-length') || 0);
@@ -63,45 +130,80 @@ if (localPath) {
 
 const zip = await JSZip.loadAsync(zipBuf);
 
-// ── Streaming CSV parser ───────────────────────────────────────────────────────
-const decoder = new TextDecoder('utf-8');
+// ── Validation ─────────────────────────────────────────────────────────────────
+// Issues are counted per code, with the first few occurrences kept as examples.
+// Errors abort the build (unless --force); warnings are only reported.
+const MAX_EXAMPLES = 5;
+const issues = { errors: {}, warnings: {} };
 
+function issue(level, code, example) {
+  const entry = issues[level][code] ??= { count: 0, examples: [] };
+  entry.count++;
+  if (entry.examples.length < MAX_EXAMPLES) entry.examples.push(example);
+}
+const error = (code, example) => issue('errors', code, example);
+const warn  = (code, example) => issue('warnings', code, example);
+
+const REQUIRED = ['agency.txt', 'stops.txt', 'routes.txt', 'trips.txt', 'stop_times.txt'];
+for (const name of REQUIRED) if (!zip.file(name)) error('missing-file', name);
+if (!zip.file('calendar.txt') && !zip.file('calendar_dates.txt')) error('missing-file', 'calendar.txt or calendar_dates.txt');
+
+// ── Streaming CSV parser (RFC 4180) ────────────────────────────────────────────
+// Quoted fields may contain commas, newlines and doubled quotes (""), and the
+// state carries over between chunks, so a record may span a chunk boundary.
+// CR outside quotes is dropped, so CRLF and LF files parse alike.
 async function parseCSVStream(zipEntry, onRow) {
   const buf = await zipEntry.async('nodebuffer');
-  let headers = null, remainder = '';
+  const decoder = new TextDecoder('utf-8');
   const CHUNK = 65536;
+  let headers = null, record = [], field = '', inQ = false, afterQ = false, rowNo = 0;
 
-  const parseRow = line => {
-    const vals = []; let cur = '', inQ = false;
-    for (const ch of line + ',') {
-      if (ch === '"') { inQ = !inQ; continue; }
-      if (ch === ',' && !inQ) { vals.push(cur); cur = ''; continue; }
-      cur += ch;
-    }
-    return vals;
+  const endRecord = () => {
+    record.push(field); field = '';
+    const vals = record; record = [];
+    if (vals.length === 1 && vals[0] === '') return;   // blank line
+    if (!headers) { headers = vals.map(h => h.replace(/^\uFEFF/, '').trim()); return; }
+    rowNo++;
+    if (vals.length !== headers.length) warn('csv-columns', `${zipEntry.name} row ${rowNo}: ${vals.length} fields, header has ${headers.length}`);
+    const row = {}; headers.forEach((h, j) => row[h] = vals[j] ?? '');
+    onRow(row);
   };
 
   for (let offset = 0; offset < buf.length; offset += CHUNK) {
-    const isLast = offset + CHUNK >= buf.length;
-    const text   = remainder + decoder.decode(buf.slice(offset, offset + CHUNK), { stream: !isLast });
-    const lines  = text.split('\n');
-    remainder    = lines.pop() ?? '';
-    for (const rawLine of lines) {
-      const line = rawLine.replace(/\r$/, '').trim();
-      if (!line) continue;
-      const vals = parseRow(line);
-      if (!headers) { headers = vals.map(h => h.replace(/^\uFEFF/, '')); continue; }
-      const row = {}; headers.forEach((h, j) => row[h] = vals[j] ?? '');
-      onRow(row);
-    }
-  }
-  if (remainder.trim()) {
-    const vals = parseRow(remainder.replace(/\r$/, '').trim());
-    if (headers && vals.length >= headers.length) {
-      const row = {}; headers.forEach((h, j) => row[h] = vals[j] ?? '');
-      onRow(row);
+    const text = decoder.decode(buf.subarray(offset, offset + CHUNK), { stream: offset + CHUNK < buf.length });
+    let start = 0;
+    for (let i = 0; i < text.length; i++) {
+      const c = text.charCodeAt(i);
+      if (inQ) {
+        if (c === 34) { field += text.slice(start, i); inQ = false; afterQ = true; start = i + 1; }
+        continue;
+      }
+      if (afterQ) {
+        afterQ = false;
+        if (c === 34) { field += '"'; inQ = true; start = i + 1; continue; }   // "" → "
+      }
+      if (c === 34 && i === start && field === '') { inQ = true; start = i + 1; }
+      else if (c === 44) { field += text.slice(start, i); record.push(field); field = ''; start = i + 1; }
+      else if (c === 10) { field += text.slice(start, i); start = i + 1; endRecord(); }
+      else if (c === 13) { field += text.slice(start, i); start = i + 1; }
     }
+    field += text.slice(start);
   }
+  if (inQ) warn('csv-unterminated-quote', zipEntry.name);
+  if (field !== '' || record.length) endRecord();
+}
+
+// Optional GTFS files (calendar.txt, calendar_dates.txt) may be missing from the zip
+async function parseOptional(name, onRow) {
+  const entry = zip.file(name);
+  if (!entry) { console.log(`  (no ${name})`); return false; }
+  await parseCSVStream(entry, onRow);
+  return true;
+}
+
+// YYYYMMDD → days since the Unix epoch (UTC, so no DST drift)
+function ymdToDay(ymd) {
+  return Math.round(Date.UTC(+ymd.slice(0,4), +ymd.slice(4,6) - 1, +ymd.slice(6,8)) / 86400000);
 }
 
 function toMins(t) {
@@ -110,33 +212,86 @@ function toMins(t) {
   return h * 60 + m;
 }
 
+// "HH:MM:SS" (hours may exceed 23) → seconds after midnight; null when empty or malformed
+function toSecs(t) {
+  const m = /^\s*(\d+):(\d\d):(\d\d)\s*$/.exec(t || '');
+  return m ? +m[1] * 3600 + +m[2] * 60 + +m[3] : null;
+}
+
+// GTFS tri-state (0/empty unknown, 1 yes, 2 no) → 1 | 2 | null
+function gtfsFlag(v) {
+  return v === '1' ? 1 : v === '2' ? 2 : null;
+}
+
+function validCoord(lat, lon) {
+  return isFinite(lat) && isFinite(lon) && Math.abs(lat) <= 90 && Math.abs(lon) <= 180 && (lat !== 0 || lon !== 0);
+}
+
 function mb(s) { return `${(s.length / 1048576).toFixed(1)} MB`; }
 
+// Report and stop before parsing when required files are missing — nothing else can be checked
+if (issues.errors['missing-file']) finish(null, null);
+
 // ── routes.txt ────────────────────────────────────────────────────────────────
 console.log('Parsing routes.txt...');
 const lines = {}, routes = {};
 await parseCSVStream(zip.file('routes.txt'), r => {
   const rid = r.route_id;
   routes[rid] = { name: r.route_short_name, long: r.route_long_name, color: r.route_color, textColor: r.route_text_color, url: r.route_url, type: r.route_type };
-  const code = rid.slice(0,-1), dirn = rid.slice(-1);
-  if (!lines[code]) lines[code] = { name: r.route_short_name, color: r.route_color, textColor: r.route_text_color, type: r.route_type, url: r.route_url };
+  // De Lijn route_ids are lineCode + direction digit; elsewhere a route is a line
+  const code = DELIJN_IDS ? rid.slice(0,-1) : rid, dirn = DELIJN_IDS ? rid.slice(-1) : '0';
+  if (!lines[code]) lines[code] = { name: r.route_short_name || r.route_long_name, color: r.route_color, textColor: r.route_text_color, type: r.route_type, url: r.route_url };
   lines[code][`dir${dirn}`] = r.route_long_name;
   lines[code][`rid${dirn}`] = rid;
 });
 console.log(`  ${Object.keys(lines).length} lines, ${Object.keys(routes).length} routes`);
 
 // ── trips.txt ─────────────────────────────────────────────────────────────────
+// Every full trip_id is kept; trips sharing a three-part key are grouped into
+// variants once stop_times.txt has been read (see "variants" below).
 console.log('Parsing trips.txt...');
-const trips = {};
+const tripMeta = new Map();   // full trip_id → { key, lineCode, svc, headsign, routeId, dir, shapeId, wa, ba }
 await parseCSVStream(zip.file('trips.txt'), t => {
-  const key = t.trip_id.split('_').slice(0,3).join('_');
-  if (!trips[key]) {
-    trips[key] = { headsign: t.trip_headsign, routeId: t.route_id, dir: t.direction_id, shapeId: t.shape_id || null };
-  } else if (!trips[key].shapeId && t.shape_id) {
-    trips[key].shapeId = t.shape_id;
-  }
+  if (!routes[t.route_id]) error('trip-unknown-route', `${t.trip_id} → route ${t.route_id}`);
+  if (tripMeta.has(t.trip_id)) error('trip-duplicate-id', t.trip_id);
+  tripMeta.set(t.trip_id, {
+    key: tripKeyOf(t.trip_id), lineCode: lineCodeOf(t.trip_id, t.route_id), svc: t.service_id,
+    headsign: t.trip_headsign, routeId: t.route_id, dir: t.direction_id, shapeId: t.shape_id || null,
+    wa: gtfsFlag(t.wheelchair_accessible), ba: gtfsFlag(t.bikes_allowed),
+  });
+});
+console.log(`  ${tripMeta.size} trips`);
+
+// ── calendar.txt + calendar_dates.txt → calendar.json ─────────────────────────
+console.log('Parsing calendar.txt / calendar_dates.txt...');
+const services = {};
+const svc = id => services[id] || (services[id] = { add: [], del: [] });
+await parseOptional('calendar.txt', c => {
+  const s = svc(c.service_id);
+  s.d = ['monday','tuesday','wednesday','thursday','friday','saturday','sunday'].map(d => c[d] === '1' ? '1' : '0').join('');
+  s.s = ymdToDay(c.start_date);
+  s.e = ymdToDay(c.end_date);
+});
+await parseOptional('calendar_dates.txt', cd => {
+  const s = svc(cd.service_id), day = ymdToDay(cd.date);
+  if (cd.exception_type === '1') s.add.push(day);
+  else if (cd.exception_type === '2') s.del.push(day);
 });
-console.log(`  ${Object.keys(trips).length} trip prefixes`);
+let calBase = Infinity;
+for (const s of Object.values(services)) calBase = Math.min(calBase, s.s ?? Infinity, ...s.add, ...s.del);
+if (!isFinite(calBase)) calBase = 0;
+for (const [id, m] of tripMeta) if (!services[m.svc]) error('trip-unknown-service', `${id} → service ${m.svc}`);
+const calOut = {};
+for (const [id, s] of Object.entries(services)) {
+  const o = {};
+  if (s.d) { o.d = s.d; o.s = s.s - calBase; o.e = s.e - calBase; }
+  if (s.add.length) o.add = s.add.sort((a,b) => a-b).map(d => d - calBase);
+  if (s.del.length) o.del = s.del.sort((a,b) => a-b).map(d => d - calBase);
+  calOut[id] = o;
+}
+const baseDate = new Date(calBase * 86400000).toISOString().slice(0,10).replace(/-/g, '');
+output(pub('calendar.json'), JSON.stringify({ base: baseDate, services: calOut }), 'committed to git');
+console.log(`  ${Object.keys(calOut).length} services from ${baseDate}`);
 
 // ── agency.txt ────────────────────────────────────────────────────────────────
 const agency = {};
@@ -146,44 +301,67 @@ await parseCSVStream(zip.file('agency.txt'), a => {
 
 // ── feed_info.txt ─────────────────────────────────────────────────────────────
 let feed = {};
-await parseCSVStream(zip.file('feed_info.txt'), fi => {
+await parseOptional('feed_info.txt', fi => {
   if (!feed.version) feed = { version: fi.feed_version||'', startDate: fi.feed_start_date||'', endDate: fi.feed_end_date||'' };
 });
 
-// ── Write static-lookup.json — small, committed to git ───────────────────────
-const outLookup = JSON.stringify({ lines, routes, trips, agency, feed });
-writeFileSync(pub('static-lookup.json'), outLookup);
-console.log(`\n✓ static-lookup.json  ${mb(outLookup)}  (committed to git)`);
-
 // ── stops.txt → stops.json — committed to git ────────────────────────────────
 console.log('Parsing stops.txt...');
 const stops = {};
+const parentOf = {};
 await parseCSVStream(zip.file('stops.txt'), s => {
+  const lat = parseFloat(s.stop_lat), lon = parseFloat(s.stop_lon);
+  // Generic nodes and boarding areas (location_type 3, 4) need no coordinates
+  if (!['3', '4'].includes(s.location_type) && !validCoord(lat, lon)) error('stop-invalid-coordinates', `${s.stop_id}: ${s.stop_lat},${s.stop_lon}`);
+  if (stops[s.stop_id]) error('stop-duplicate-id', s.stop_id);
+  if (s.parent_station) parentOf[s.stop_id] = s.parent_station;
   stops[s.stop_id] = {
     n: s.stop_name,
-    a: Math.round(parseFloat(s.stop_lat)*1e5)/1e5,
-    o: Math.round(parseFloat(s.stop_lon)*1e5)/1e5,
+    a: Math.round(lat*1e5)/1e5,
+    o: Math.round(lon*1e5)/1e5,
   };
+  const w = gtfsFlag(s.wheelchair_boarding);
+  if (w) stops[s.stop_id].w = w;
+  if (s.parent_station) stops[s.stop_id].p = s.parent_station;
+  if (s.platform_code) stops[s.stop_id].c = s.platform_code;
+  if (s.location_type && s.location_type !== '0') stops[s.stop_id].t = +s.location_type;
 });
-const outStops = JSON.stringify(stops);
-writeFileSync(pub('stops.json'), outStops);
-console.log(`✓ stops.json          ${mb(outStops)}  (committed to git)`);
+for (const [id, parent] of Object.entries(parentOf)) {
+  if (!stops[parent]) { warn('stop-unknown-parent', `${id} → ${parent}`); delete stops[id].p; continue; }
+  // An empty wheelchair_boarding on a platform means "as its station"
+  if (!stops[id].w && stops[parent].w) stops[id].w = stops[parent].w;
+}
+output(pub('stops.json'), JSON.stringify(stops), 'committed to git');
+
+// ── stop-tiles/ — stops.json split per map tile, for /api/stops ──────────────
+// Web-mercator tiles at a fixed zoom (~6 × 6 km in Belgium), the same scheme the
+// worker uses to find the tiles a bounding box overlaps.
+const STOP_TILE_Z = 12;
+const stopTiles = {};
+for (const [id, st] of Object.entries(stops)) {
+  if (!validCoord(st.a, st.o) || st.t >= 2) continue;   // entrances, nodes and boarding areas aren't drawn
+  const n = 2 ** STOP_TILE_Z, r = st.a * Math.PI / 180;
+  const x = Math.floor((st.o + 180) / 360 * n);
+  const y = Math.floor((1 - Math.log(Math.tan(r) + 1 / Math.cos(r)) / Math.PI) / 2 * n);
+  (stopTiles[`${x}_${y}`] ??= {})[id] = st;
+}
+for (const [key, tile] of Object.entries(stopTiles)) output(pub(`stop-tiles/${key}.json`), JSON.stringify(tile));
+output(pub('stop-tiles/index.json'), JSON.stringify({ z: STOP_TILE_Z, tiles: Object.keys(stopTiles) }));
+console.log(`  ${Object.keys(stopTiles).length} files for stop-tiles/  (deploy only)`);
 
 // ── shapes.txt → public/shapes/{lineCode}.json ───────────────────────────────
-const shapesDir = resolve(__dir, '../public/shapes');
-mkdirSync(shapesDir, { recursive: true });
-console.log('Building shapeId→lineCode map from trips.txt...');
+const shapesDir = pub('shapes');
 const shapeToLineCode = {};
-await parseCSVStream(zip.file('trips.txt'), t => {
-  if (t.shape_id) shapeToLineCode[t.shape_id] = t.trip_id.split('_')[0];
-});
+for (const m of tripMeta.values()) if (m.shapeId) shapeToLineCode[m.shapeId] = m.lineCode;
 console.log(`  ${Object.keys(shapeToLineCode).length} shape→lineCode mappings`);
 const exampleEntries = Object.entries(shapeToLineCode).slice(0, 5);
 console.log('  Examples:', exampleEntries.map(([s,l]) => `${s} → ${l}`).join(', '));
 
 console.log('Parsing shapes.txt...');
-const shapesByLine = {};
-await parseCSVStream(zip.file('shapes.txt'), p => {
+const shapesByLine = {}, shapeIds = new Set();
+await parseOptional('shapes.txt', p => {
+  shapeIds.add(p.shape_id);
+  if (!validCoord(parseFloat(p.shape_pt_lat), parseFloat(p.shape_pt_lon))) warn('shape-invalid-coordinates', `${p.shape_id} #${p.shape_pt_sequence}`);
   const lineCode = shapeToLineCode[p.shape_id];
   if (!lineCode) return;
   if (!shapesByLine[lineCode]) shapesByLine[lineCode] = {};
@@ -198,61 +376,94 @@ let shapeCount = 0;
 for (const [lineCode, shapesRaw] of Object.entries(shapesByLine)) {
   const out = {};
   for (const [id, pts] of Object.entries(shapesRaw)) {
-    out[id] = pts.sort((a,b) => a[0]-b[0]).map(p => [p[1], p[2]]);
+    pts.sort((a,b) => a[0]-b[0]);
+    for (let i = 1; i < pts.length; i++) if (pts[i][0] === pts[i-1][0]) warn('shape-duplicate-sequence', `${id} #${pts[i][0]}`);
+    out[id] = pts.map(p => [p[1], p[2]]);
   }
-  writeFileSync(resolve(shapesDir, `${lineCode}.json`), JSON.stringify(out));
+  output(resolve(shapesDir, `${fileName(lineCode)}.json`), JSON.stringify(out));
   shapeCount++;
 }
-console.log(`✓ shapes/             ${shapeCount} files in public/shapes/  (deploy only)`);
+for (const [id, m] of tripMeta) if (m.shapeId && !shapeIds.has(m.shapeId)) warn('trip-unknown-shape', `${id} → shape ${m.shapeId}`);
+console.log(`  ${shapeCount} files for shapes/  (deploy only)`);
 
 // ── stop_times.txt → public/stop-times/{lineCode}.json ───────────────────────
-const stopTimesDir = resolve(__dir, '../public/stop-times');
-mkdirSync(stopTimesDir, { recursive: true });
-console.log('Building tripId→rtKey map from trips.txt...');
-
-const fullTripToKey = new Map();
-const fullTripToLine = new Map();
-await parseCSVStream(zip.file('trips.txt'), t => {
-  const parts = t.trip_id.split('_');
-  const key = parts.slice(0,3).join('_');
-  const lineCode = parts[0];
-  fullTripToKey.set(t.trip_id, key);
-  fullTripToLine.set(t.trip_id, lineCode);
-});
-console.log(`  ${fullTripToKey.size} full trip_id mappings`);
+// Rows are grouped per full trip_id (GTFS feeds list a trip's rows contiguously).
+// Each distinct stop list of a three-part key is written once: the first as "key",
+// later ones as "key:1", "key:2", … — tripStIdx remembers which one each trip uses.
+const stopTimesDir = pub('stop-times');
 
 console.log('Parsing stop_times.txt...');
-const stByLine = {};
-const stSeen   = new Map();
-await parseCSVStream(zip.file('stop_times.txt'), st => {
-  const fullId   = st.trip_id;
-  let lineCode = fullTripToLine.get(fullId);
-  let key      = fullTripToKey.get(fullId);
-
-  if (!lineCode || !key) {
-    const parts = fullId.split('_');
-    const shortKey = parts.slice(0,3).join('_');
-    lineCode = parts[0];
-    key      = shortKey;
+const stByLine  = {};          // lineCode → { entryKey → [{s,a},...] }
+const stUnique  = {};          // lineCode → { key → Map(signature → index) }
+const tripStIdx = new Map();   // full trip_id → index of its stop list within its key
+let curTrip = null, curRows = [], splitTrips = 0;
+
+function flushTrip() {
+  if (curTrip === null) return;
+  const meta     = tripMeta.get(curTrip);
+  const lineCode = meta?.lineCode ?? lineCodeOf(curTrip, null);
+  const key      = meta?.key      ?? tripKeyOf(curTrip);
+  if (!meta) warn('stop-times-unknown-trip', curTrip);
+  if (!lineCode) { curTrip = null; curRows = []; return; }   // not in trips.txt, and no line in its id
+  curRows.sort((a,b) => a.seq - b.seq);
+  // Times may be blank between timepoints, but must never run backwards
+  let lastT = -1;
+  for (let i = 0; i < curRows.length; i++) {
+    const r = curRows[i];
+    if (!Number.isInteger(r.seq) || (i && r.seq === curRows[i-1].seq)) error('stop-times-bad-sequence', `${curTrip} #${r.seq}`);
+    for (const t of [r.arr, r.dep]) {
+      if (t === null) continue;
+      if (t < lastT) { error('stop-times-out-of-order', `${curTrip} #${r.seq}`); break; }
+      lastT = t;
+    }
   }
+  const seq      = curRows.map(({s, a}) => ({s, a}));
+  const sig      = seq.map(x => `${x.s}@${x.a}`).join('|');
 
-  if (!stByLine[lineCode]) stByLine[lineCode] = {};
-  if (!stSeen.has(fullId)) {
-    stSeen.set(fullId, true);
-    stByLine[lineCode][key] = [];
+  const uniq = (stUnique[lineCode] ??= {})[key] ??= new Map();
+  let idx = uniq.get(sig);
+  if (idx === undefined) {
+    idx = uniq.size;
+    uniq.set(sig, idx);
+    (stByLine[lineCode] ??= {})[idx ? `${key}:${idx}` : key] = seq;
   }
-  stByLine[lineCode][key].push({ seq: parseInt(st.stop_sequence), s: st.stop_id, a: toMins(st.arrival_time) });
+  tripStIdx.set(curTrip, idx);
+  curTrip = null; curRows = [];
+}
+
+await parseCSVStream(zip.file('stop_times.txt'), st => {
+  if (st.trip_id !== curTrip) {
+    flushTrip();
+    if (tripStIdx.has(st.trip_id)) { splitTrips++; warn('stop-times-not-contiguous', st.trip_id); return; }
+    curTrip = st.trip_id;
+  }
+  if (!stops[st.stop_id]) error('stop-times-unknown-stop', `${st.trip_id} #${st.stop_sequence} → ${st.stop_id}`);
+  curRows.push({
+    seq: Number(st.stop_sequence), s: st.stop_id, a: toMins(st.arrival_time),
+    arr: toSecs(st.arrival_time), dep: toSecs(st.departure_time),
+  });
 });
+flushTrip();
+if (splitTrips) console.warn(`  ⚠ ${splitTrips} stop_times rows skipped: trip rows not contiguous`);
+for (const id of tripMeta.keys()) if (!tripStIdx.has(id)) warn('trip-without-stop-times', id);
+
+// Service ids per stop-times entry (union over every trip sharing that stop list)
+const entrySvc = {};   // lineCode → { entryKey → Set(service_id) }
+for (const [fullId, m] of tripMeta) {
+  const idx = tripStIdx.get(fullId);
+  if (idx === undefined) continue;
+  const entryKey = idx ? `${m.key}:${idx}` : m.key;
+  ((entrySvc[m.lineCode] ??= {})[entryKey] ??= new Set()).add(m.svc);
+}
+
 let stCount = 0;
-for (const [lineCode, tripsObj] of Object.entries(stByLine)) {
-  const out = {};
-  for (const [key, stops] of Object.entries(tripsObj)) {
-    out[key] = stops.sort((a,b) => a.seq - b.seq).map(({s, a}) => ({s, a}));
-  }
-  writeFileSync(resolve(stopTimesDir, `${lineCode}.json`), JSON.stringify(out));
+for (const [lineCode, out] of Object.entries(stByLine)) {
+  const svcOut = {};
+  for (const [entryKey, set] of Object.entries(entrySvc[lineCode] || {})) svcOut[entryKey] = [...set];
+  output(resolve(stopTimesDir, `${fileName(lineCode)}.json`), JSON.stringify({ ...out, _svc: svcOut }));
   stCount++;
 }
-console.log(`✓ stop-times/         ${stCount} files in public/stop-times/  (deploy only)`);
+console.log(`  ${stCount} files for stop-times/  (deploy only)`);
 const stExamples = Object.keys(stByLine).sort().slice(0, 8);
 console.log('  Example stop-time lineCodes:', stExamples.join(', '));
 const firstLineCode = Object.keys(stByLine).find(lc => Object.keys(stByLine[lc]).length > 0);
@@ -261,6 +472,50 @@ if (firstLineCode) {
   console.log(`  Sample keys in stop-times/${firstLineCode}.json:`, sampleKeys.join(', '));
 }
 
+// ── Trip variants → static-lookup.json — committed to git ────────────────────
+// Trips of one key that share headsign, route, direction, shape and stop list
+// collapse into one variant listing all their service ids. trips[key] is the
+// variant with the most services (what the frontend shows without calendar.json);
+// variants[key] is only written when a key has more than one variant, and each
+// entry only carries the fields that differ from trips[key].
+console.log('\nGrouping trip variants...');
+const variantsByKey = new Map();   // key → Map(groupSig → variant)
+for (const [fullId, m] of tripMeta) {
+  const st = tripStIdx.get(fullId) ?? 0;
+  const gsig = [m.headsign, m.routeId, m.dir, m.shapeId, m.wa, m.ba, st].join('\u0001');
+  if (!variantsByKey.has(m.key)) variantsByKey.set(m.key, new Map());
+  const groups = variantsByKey.get(m.key);
+  if (!groups.has(gsig)) groups.set(gsig, { headsign: m.headsign, routeId: m.routeId, dir: m.dir, shapeId: m.shapeId, wa: m.wa, ba: m.ba, st, svc: new Set() });
+  groups.get(gsig).svc.add(m.svc);
+}
+
+const trips = {}, variants = {};
+for (const [key, groups] of variantsByKey) {
+  const list = [...groups.values()].sort((a,b) => b.svc.size - a.svc.size);
+  const def  = list[0];
+  trips[key] = { headsign: def.headsign, routeId: def.routeId, dir: def.dir, shapeId: def.shapeId || list.find(v => v.shapeId)?.shapeId || null };
+  if (def.wa) trips[key].wa = def.wa;
+  if (def.ba) trips[key].ba = def.ba;
+  if (list.length < 2) continue;
+  variants[key] = list.map(v => {
+    const o = { svc: [...v.svc] };
+    for (const f of ['headsign', 'routeId', 'dir', 'shapeId']) if (v[f] && v[f] !== trips[key][f]) o[f] = v[f];
+    // Accessibility isn't inherited: 0 when this variant doesn't say but trips[key] does
+    for (const f of ['wa', 'ba']) if ((v[f] || 0) !== (trips[key][f] || 0)) o[f] = v[f] || 0;
+    if (v.st) o.st = v.st;
+    return o;
+  });
+}
+console.log(`  ${Object.keys(trips).length} trip keys, ${Object.keys(variants).length} with several variants`);
+
+const outLookup = JSON.stringify({ lines, routes, trips, variants, agency, feed });
+output(pub('static-lookup.json'), outLookup, 'committed to git');
+
+// ── feed-version.json — tiny, so the service worker can spot a new bundle ────
+// feed_info's feed_version, or a hash of the lookup for feeds that don't set one.
+const version = feed.version || createHash('sha1').update(outLookup).digest('hex').slice(0, 12);
+output(pub('feed-version.json'), JSON.stringify({ version, startDate: feed.startDate || '', endDate: feed.endDate || '' }), 'committed to git');
+
 // ── stop-index.json — stop_id → [lineCode, ...] — committed to git ───────────
 // Reverse index so the frontend can answer "which lines serve stop X?" instantly,
 // without needing to load individual stop-times files per line.
@@ -280,14 +535,225 @@ for (const [lineCode, tripsObj] of Object.entries(stByLine)) {
     }
   }
 }
-const outStopIndex = JSON.stringify(stopIndex);
-writeFileSync(pub('stop-index.json'), outStopIndex);
-console.log(`✓ stop-index.json     ${mb(outStopIndex)}  (committed to git)`);
+output(pub('stop-index.json'), JSON.stringify(stopIndex), 'committed to git');
 console.log(`  ${Object.keys(stopIndex).length} stops indexed`);
 
 // Sample a few entries so we can verify the format looks correct
 const sampleStops = Object.entries(stopIndex).slice(0, 3);
 console.log('  Sample:', sampleStops.map(([s, ls]) => `${s}→[${ls.slice(0,3).join(',')}${ls.length>3?'…':''}]`).join(', '));
 
-console.log(`\nFeed: ${feed.version}  valid ${feed.startDate} → ${feed.endDate}`);
-console.log('Run: wrangler deploy');
+// ── search-index.json — places and lines for the search box — deploy only ────
+// A place is a station with its platforms (parent_station), else the stops that
+// share a name — minus a trailing "perron 2" — within SEARCH_GROUP_M of each other,
+// so "Sint-Niklaas Station" is one result rather than one per platform. Stop ids
+// are sorted by the number of lines serving them: the first is the one to open.
+// De Lijn names start with the municipality ("De Panne Markt"); other feeds have
+// no municipality. A place is step-free (1) when its station or any of its stops
+// has wheelchair_boarding 1. Lines carry their long names and every headsign.
+const SEARCH_GROUP_M = 500;
+const PLATFORM_RE    = /\s+(perron|platform|quai|voie|spoor)\s+\S+$/i;
+const MUNI_ARTICLES  = new Set(['de', 'den', 'het', "'s", 'la', 'le', 'les']);
+
+function municipalityOf(name) {
+  if (!DELIJN_IDS) return '';
+  const w = name.split(' ');
+  if (w.length > 2 && MUNI_ARTICLES.has(w[0].toLowerCase())) return `${w[0]} ${w[1]}`;
+  return w.length > 1 ? w[0].replace(/[,.]$/, '') : '';
+}
+
+console.log('\nBuilding search-index...');
+const places = new Map();   // station id or "name|n" → { name, ids, a, o }
+const sameName = new Map(); // place name → [place, ...]
+for (const [id, st] of Object.entries(stops)) {
+  if (st.t !== 1 || !validCoord(st.a, st.o)) continue;
+  places.set(id, { name: st.n, ids: [], a: st.a, o: st.o, w: st.w });
+}
+for (const [id, st] of Object.entries(stops)) {
+  if (st.t || !validCoord(st.a, st.o)) continue;   // stations, entrances, nodes, boarding areas
+  let place = places.get(st.p);
+  if (!place) {
+    const name = st.n.replace(PLATFORM_RE, ''), kLng = Math.cos(st.a * Math.PI / 180);
+    const near = sameName.get(name) || [];
+    place = near.find(p => Math.hypot((p.a - st.a) * 110574, (p.o - st.o) * 111320 * kLng) <= SEARCH_GROUP_M);
+    if (!place) {
+      place = { name, ids: [], a: st.a, o: st.o };
+      places.set(`${name}|${near.length}`, place);
+      sameName.set(name, [...near, place]);
+    }
+  }
+  place.ids.push(id);
+}
+const munis = [], muniIdx = new Map();
+const searchStops = [];
+for (const [key, p] of places) {
+  if (!p.ids.length) p.ids.push(key);   // a station without platforms
+  p.ids.sort((x, y) => (stopIndex[y]?.length || 0) - (stopIndex[x]?.length || 0));
+  const served = new Set(p.ids.flatMap(id => stopIndex[id] || []));
+  const a = p.ids.reduce((n, id) => n + stops[id].a, 0) / p.ids.length;
+  const o = p.ids.reduce((n, id) => n + stops[id].o, 0) / p.ids.length;
+  const muni = municipalityOf(p.name);
+  if (!muniIdx.has(muni)) { muniIdx.set(muni, munis.length); munis.push(muni); }
+  const stepFree = p.w === 1 || p.ids.some(id => stops[id].w === 1) ? 1 : 0;
+  searchStops.push([p.name, muniIdx.get(muni), Math.round(a*1e5)/1e5, Math.round(o*1e5)/1e5, served.size, p.ids, stepFree]);
+}
+const lineTexts = headsignsByLine({ trips, variants });
+const searchLines = Object.entries(lines).map(([code, l]) => {
+  const texts = new Set([l.dir0, l.dir1, ...(lineTexts[code] || [])].filter(t => t && t !== l.name));
+  return [code, l.name || code, [...texts]];
+});
+output(pub('search-index.json'), JSON.stringify({ munis, stops: searchStops, lines: searchLines }), 'deploy only');
+console.log(`  ${searchStops.length} places (${Object.keys(stops).length} stops), ${munis.filter(Boolean).length} municipalities, ${searchLines.length} lines`);
+
+// ── transfers.json — footpaths between nearby stops — deploy only ────────────
+// Stops are bucketed into a ~450 m grid so each stop only compares against its
+// 3×3 neighbourhood. Walk time assumes 1.2 m/s over a 1.3× detour factor.
+const FOOTPATH_M   = 400;
+const WALK_SPEED   = 1.2;
+const DETOUR       = 1.3;
+const GRID_DEG     = 0.004;
+console.log('\nBuilding transfers (footpaths within ' + FOOTPATH_M + ' m)...');
+const grid = new Map();
+const cellKey = (a, o) => `${Math.floor(a / GRID_DEG)}:${Math.floor(o / GRID_DEG)}`;
+for (const [id, st] of Object.entries(stops)) {
+  if (!isFinite(st.a) || !isFinite(st.o)) continue;
+  const k = cellKey(st.a, st.o);
+  if (!grid.has(k)) grid.set(k, []);
+  grid.get(k).push(id);
+}
+const transfers = {};
+let footpathCount = 0;
+for (const [id, st] of Object.entries(stops)) {
+  if (!isFinite(st.a) || !isFinite(st.o)) continue;
+  const ca = Math.floor(st.a / GRID_DEG), co = Math.floor(st.o / GRID_DEG);
+  const kLng = Math.cos(st.a * Math.PI / 180);
+  const out = [];
+  for (let da = -1; da <= 1; da++) for (let dn = -1; dn <= 1; dn++) {
+    for (const other of grid.get(`${ca + da}:${co + dn}`) || []) {
+      if (other === id) continue;
+      const o = stops[other];
+      const d = Math.hypot((o.a - st.a) * 110574, (o.o - st.o) * 111320 * kLng);
+      if (d <= FOOTPATH_M) out.push([other, Math.round(d * DETOUR / WALK_SPEED)]);
+    }
+  }
+  if (out.length) { transfers[id] = out.sort((a,b) => a[1] - b[1]); footpathCount += out.length; }
+}
+output(pub('transfers.json'), JSON.stringify(transfers), 'deploy only');
+console.log(`  ${footpathCount} footpaths between ${Object.keys(transfers).length} stops`);
+
+// ── Diff against the previous build ──────────────────────────────────────────
+// Compares the committed static-lookup.json / stops.json (still the previous
+// build's at this point) with the new ones: lines and stops added or removed,
+// and per line the headsigns that appeared or disappeared.
+const DIFF_MAX_EXAMPLES = 50;
+const REMOVED_WARN_SHARE = 0.1;   // warn when a build drops more than 10% of the lines or stops
+
+function readPrevious(name) {
+  const path = pub(name);
+  if (!existsSync(path)) return null;
+  try { return JSON.parse(readFileSync(path, 'utf8')); } catch (_) { return null; }
+}
+
+function headsignsByLine(lookup) {
+  const out = {};
+  for (const [key, t] of Object.entries(lookup.trips || {})) {
+    const line = lineCodeOf(null, t.routeId);
+    const set  = out[line] ??= new Set();
+    if (t.headsign) set.add(t.headsign);
+    for (const v of lookup.variants?.[key] || []) if (v.headsign) set.add(v.headsign);
+  }
+  return out;
+}
+
+// { added, removed } between two id → value maps; `label` names each entry
+function keyDiff(prev, next, label) {
+  const added   = Object.keys(next).filter(k => !(k in prev));
+  const removed = Object.keys(prev).filter(k => !(k in next));
+  return {
+    added: added.length, removed: removed.length,
+    addedList:   added.slice(0, DIFF_MAX_EXAMPLES).map(k => label(k, next[k])),
+    removedList: removed.slice(0, DIFF_MAX_EXAMPLES).map(k => label(k, prev[k])),
+  };
+}
+
+function diffBuilds(prevLookup, prevStops) {
+  if (!prevLookup) return null;
+  const diff = {
+    previousVersion: prevLookup.feed?.version || null,
+    version,
+    lines: keyDiff(prevLookup.lines || {}, lines, (code, l) => ({ code, name: l.name })),
+    stops: prevStops ? keyDiff(prevStops, stops, (id, s) => ({ id, name: s.n })) : null,
+    headsigns: [],
+  };
+  const before = headsignsByLine(prevLookup), after = headsignsByLine({ trips, variants });
+  for (const line of Object.keys(after)) {
+    if (!before[line]) continue;
+    const added   = [...after[line]].filter(h => !before[line].has(h));
+    const removed = [...before[line]].filter(h => !after[line].has(h));
+    if (added.length || removed.length) diff.headsigns.push({ line, name: lines[line]?.name, added, removed });
+  }
+
+  const prevLines = Object.keys(prevLookup.lines || {}).length, prevStopCount = prevStops ? Object.keys(prevStops).length : 0;
+  if (prevLines && diff.lines.removed > prevLines * REMOVED_WARN_SHARE) warn('large-removal', `${diff.lines.removed} of ${prevLines} lines removed`);
+  if (prevStopCount && diff.stops.removed > prevStopCount * REMOVED_WARN_SHARE) warn('large-removal', `${diff.stops.removed} of ${prevStopCount} stops removed`);
+  return diff;
+}
+
+const diff = diffBuilds(readPrevious('static-lookup.json'), readPrevious('stops.json'));
+finish(diff, {
+  feed,
+  counts: { routes: Object.keys(routes).length, trips: tripMeta.size, stops: Object.keys(stops).length, services: Object.keys(services).length },
+});
+
+// ── Report + write ───────────────────────────────────────────────────────────
+// Prints the issues and diff (as GitHub annotations under Actions), writes the
+// --report JSON, then writes every collected output — unless this is a --check
+// run or validation failed without --force. Exits 1 on validation errors.
+// `build` is { feed, counts }, or null when the zip could not be parsed at all.
+function finish(diff, build) {
+  const errors = Object.values(issues.errors).reduce((n, e) => n + e.count, 0);
+  const write  = !!build && !CHECK && (!errors || FORCE);
+  const gh     = !!process.env.GITHUB_ACTIONS;
+
+  console.log('\nValidation:');
+  for (const level of ['errors', 'warnings']) {
+    for (const [code, { count, examples }] of Object.entries(issues[level])) {
+      const msg = `${code}: ${count} (e.g. ${examples.join('; ')})`;
+      console.log(`  ${level === 'errors' ? '✗' : '⚠'} ${msg}`);
+      if (gh) console.log(`::${level === 'errors' ? 'error' : 'warning'} title=GTFS ${AGENCY}::${msg}`);
+    }
+  }
+  if (!errors && !Object.keys(issues.warnings).length) console.log('  ✓ no issues');
+
+  if (diff) {
+    const summary = `lines +${diff.lines.added} −${diff.lines.removed}` +
+      (diff.stops ? `, stops +${diff.stops.added} −${diff.stops.removed}` : '') +
+      `, headsigns changed on ${diff.headsigns.length} lines`;
+    console.log(`\nChanges since ${diff.previousVersion || 'previous build'}: ${summary}`);
+    if (gh) console.log(`::notice title=GTFS ${AGENCY}::${diff.previousVersion || 'previous'} → ${diff.version}: ${summary}`);
+  }
+
+  if (REPORT) {
+    const report = {
+      agency: AGENCY, source: localPath || 'download', generatedAt: new Date().toISOString(),
+      ok: !errors, written: write, feed: build?.feed || null, counts: build?.counts || null,
+      issues, diff,
+    };
+    writeFileSync(resolve(REPORT), JSON.stringify(report, null, 2));
+    console.log(`\nReport: ${REPORT}`);
+  }
+
+  if (write) {
+    console.log('');
+    for (const [path, data, note] of outputs) {
+      mkdirSync(dirname(path), { recursive: true });
+      writeFileSync(path, data);
+      if (note) console.log(`✓ ${relative(outDir, path).padEnd(19)} ${mb(data)}  (${note})`);
+    }
+    console.log(`✓ ${outputs.filter(o => !o[2]).length} files in shapes/, stop-times/ and stop-tiles/  (deploy only)`);
+    console.log(`\nFeed: ${build.feed.version}  valid ${build.feed.startDate} → ${build.feed.endDate}`);
+    console.log('Run: wrangler deploy');
+  } else {
+    console.log(CHECK ? '\n--check: nothing written' : '\n✗ Validation failed — nothing written (use --force to write anyway)');
+  }
+  process.exit(errors ? 1 : 0);
+}
@@ -0,0 +1,142 @@
+#!/usr/bin/env node
+/**
+ * feed-recorder.js — Geotransport
+ *
+ * Records upstream realtime data into a local directory and serves it back to the
+ * worker's replay mode, so `extractFeed` can be developed and incidents replayed
+ * without live keys. The layout is the worker's (src/recordings.js):
+ *
+ *   <dir>/gtfs/<agency>/<YYYY-MM-DDTHH>/<unix>.pb     raw GTFS-RT protobuf
+ *   <dir>/kern/<stopId>/<YYYY-MM-DDTHH>/<unix>.json   raw Kern halte real-time JSON
+ *
+ * Usage:
+ *   node scripts/feed-recorder.js record <dir> [options]
+ *     Polls every agency whose realtime secret is set (src/feeds.js), and the Kern
+ *     departures of --stops, until Ctrl-C or --minutes have passed.
+ *       --interval=<s>       seconds between polls (default 15, the worker's cache TTL)
+ *       --minutes=<n>        stop after n minutes
+ *       --stops=<id,id,…>    De Lijn stop ids to record Kern departures for (needs DL_OPDA)
+ *
+ *   node scripts/feed-recorder.js serve <dir> [--port=8790]
+ *     Serves <dir> over HTTP for the worker. Then, in another terminal:
+ *       wrangler dev --var REPLAY:1 --var REPLAY_URL:http://localhost:8790
+ *     and open the map: a replay bar with play/pause/seek replaces the live feed.
+ *
+ * Secrets: the registry's realtime source per agency — DL_GTFSRT = Ocp-Apim-Subscription-Key,
+ *          STIB_GTFSRT_URL / TEC_GTFSRT_URL / SNCB_GTFSRT_URL = full feed URL;
+ *          DL_OPDA for --stops
+ */
+
+import { createServer } from 'http';
+import { readFileSync, writeFileSync, mkdirSync, readdirSync, existsSync, statSync } from 'fs';
+import { resolve, dirname, sep } from 'path';
+import { FEEDS, feedRequest } from '../src/feeds.js';
+import { recordingKey } from '../src/recordings.js';
+
+const KERN_BASE = 'https://api.delijn.be/DLKernOpenData/api/v1/haltes';   // as in src/worker.js
+
+const args  = process.argv.slice(2).filter(a => !a.startsWith('--'));
+const flags = Object.fromEntries(process.argv.slice(2).filter(a => a.startsWith('--'))
+  .map(f => { const [k, v = ''] = f.slice(2).split('='); return [k, v]; }));
+const [command, dirArg] = args;
+
+if (!['record', 'serve'].includes(command) || !dirArg) {
+  console.error('Usage: node scripts/feed-recorder.js record|serve <dir> [options]  (see the header of this file)');
+  process.exit(1);
+}
+const root = resolve(dirArg);
+
+if (command === 'record') await record();
+else serve();
+
+// ── Record ─────────────────────────────────────────────────────────────────────
+
+async function record() {
+  const interval = Math.max(1, Number(flags.interval) || 15);
+  const until    = flags.minutes ? Date.now() + Number(flags.minutes) * 60000 : Infinity;
+  const stops    = (flags.stops || '').split(',').filter(Boolean);
+  const agencies = Object.keys(FEEDS).filter(a => feedRequest(FEEDS[a].realtime, process.env));
+
+  if (stops.some(s => !/^\d+$/.test(s))) { console.error('--stops: De Lijn stop ids are numeric'); process.exit(1); }
+  if (stops.length && !process.env.DL_OPDA) { console.error('Set DL_OPDA env var to record --stops.'); process.exit(1); }
+  if (!agencies.length && !stops.length) { console.error('No realtime secret set (e.g. DL_GTFSRT) and no --stops.'); process.exit(1); }
+
+  console.log(`Recording ${[...agencies, ...stops.map(s => `kern/${s}`)].join(', ')} every ${interval} s → ${root}`);
+  const save = (kind, name, t, data) => {
+    const path = resolve(root, recordingKey(kind, name, t));
+    mkdirSync(dirname(path), { recursive: true });
+    writeFileSync(path, data);
+    return data.length;
+  };
+
+  // Files are written synchronously, so Ctrl-C never leaves half a recording
+  process.on('SIGINT', () => { console.log('\nDone.'); process.exit(0); });
+
+  while (Date.now() < until) {
+    const started = Date.now(), t = Math.floor(started / 1000);
+    const results = await Promise.all([
+      ...agencies.map(async a => {
+        const { url, headers } = feedRequest(FEEDS[a].realtime, process.env);
+        const r = await fetch(url, { headers: { 'Cache-Control': 'no-cache', ...headers } });
+        if (!r.ok) throw new Error(`${a}: HTTP ${r.status}`);
+        return `${a} ${(save('gtfs', a, t, Buffer.from(await r.arrayBuffer())) / 1024).toFixed(0)} KB`;
+      }),
+      ...stops.map(async s => {
+        const r = await fetch(`${KERN_BASE}/${s[0]}/${s}/real-time?maxAantalDoorkomsten=8`, {
+          headers: { 'Ocp-Apim-Subscription-Key': process.env.DL_OPDA, 'Accept': 'application/json', 'Cache-Control': 'no-cache' },
+        });
+        if (!r.ok) throw new Error(`kern/${s}: HTTP ${r.status}`);
+        save('kern', s, t, Buffer.from(await r.text()));
+        return `kern/${s}`;
+      }),
+    ].map(p => p.catch(err => `✗ ${err.message}`)));
+    console.log(`${new Date(started).toLocaleTimeString('en-GB')}  ${results.join('  ')}`);
+
+    const wait = started + interval * 1000 - Date.now();
+    if (wait > 0) await new Promise(r => setTimeout(r, Math.min(wait, until - Date.now())));
+  }
+  console.log('Done.');
+}
+
+// ── Serve ──────────────────────────────────────────────────────────────────────
+// The HTTP side of src/recordings.js's httpStore: /list?prefix= and /<key>.
+
+function serve() {
+  if (!existsSync(root)) { console.error(`${root} does not exist.`); process.exit(1); }
+  const port = Number(flags.port) || 8790;
+
+  // Only paths inside root
+  const inRoot = key => {
+    const path = resolve(root, key);
+    return path === root || path.startsWith(root + sep) ? path : null;
+  };
+
+  createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const send = (status, body, type = 'application/json') => {
+      res.writeHead(status, { 'Content-Type': type });
+      res.end(body);
+    };
+
+    if (url.pathname === '/list') {
+      const prefix = url.searchParams.get('prefix') || '';
+      const path = inRoot(prefix);
+      if (!path || (prefix && !prefix.endsWith('/'))) return send(400, JSON.stringify({ error: 'prefix must be a directory ending in "/"' }));
+      const keys = [], prefixes = [];
+      if (existsSync(path) && statSync(path).isDirectory()) {
+        for (const e of readdirSync(path, { withFileTypes: true })) {
+          if (e.isDirectory()) prefixes.push(`${prefix}${e.name}/`);
+          else if (e.isFile()) keys.push(prefix + e.name);
+        }
+      }
+      return send(200, JSON.stringify({ keys: keys.sort(), prefixes: prefixes.sort() }));
+    }
+
+    const path = inRoot(decodeURIComponent(url.pathname.slice(1)));
+    if (!path || !existsSync(path) || !statSync(path).isFile()) return send(404, JSON.stringify({ error: 'Not recorded' }));
+    send(200, readFileSync(path), path.endsWith('.pb') ? 'application/x-protobuf' : 'application/json');
+  }).listen(port, () => {
+    console.log(`Serving ${root} on http://localhost:${port}`);
+    console.log(`Run: wrangler dev --var REPLAY:1 --var REPLAY_URL:http://localhost:${port}`);
+  });
+}
@@ -0,0 +1,117 @@
+/**
+ * Geotransport — feed registry
+ *
+ * One entry per transit agency, shared by the Worker (realtime feeds) and
+ * scripts/build-static-lookup.js (static bundles).
+ *
+ *   realtime / static: { url, auth }
+ *     auth.header + auth.secret   key sent in a request header
+ *     auth.query  + auth.secret   key appended as a query parameter
+ *     auth.urlSecret              the whole URL is the secret (token in the path)
+ *     no auth                     open data
+ *
+ *   ids: how line codes and trip keys are derived from GTFS ids
+ *     "delijn"  line = trip_id up to the first "_" (route_id minus its direction digit),
+ *               trip key = first three "_" parts of trip_id
+ *     "gtfs"    line = route_id, trip key = trip_id
+ *
+ * A feed is enabled once its secret is set. DEFAULT_AGENCY keeps bare ids so
+ * existing links and static files keep working; every other agency's ids are
+ * prefixed "<agency>:" and its static bundle lives under /agencies/<agency>/.
+ */
+
+export const DEFAULT_AGENCY = "delijn";
+
+export const FEEDS = {
+  delijn: {
+    name: "De Lijn",
+    color: "#ffd800",
+    ids: "delijn",
+    realtime: {
+      url: "https://api.delijn.be/gtfs/v3/realtime?canceled=true&delay=true&position=true&vehicleid=true&tripid=true",
+      auth: { header: "Ocp-Apim-Subscription-Key", secret: "DL_GTFSRT" },
+    },
+    static: {
+      url: "https://api.delijn.be/gtfs/static/v3/gtfs_transit.zip",
+      auth: { header: "Ocp-Apim-Subscription-Key", secret: "DL_GTFS" },
+    },
+  },
+  stib: {
+    name: "STIB-MIVB",
+    color: "#e3001b",
+    ids: "gtfs",
+    realtime: { auth: { urlSecret: "STIB_GTFSRT_URL" } },
+    static:   { auth: { urlSecret: "STIB_GTFS_URL" } },
+  },
+  tec: {
+    name: "TEC",
+    color: "#f7a600",
+    ids: "gtfs",
+    realtime: { auth: { urlSecret: "TEC_GTFSRT_URL" } },
+    static:   { auth: { urlSecret: "TEC_GTFS_URL" } },
+  },
+  sncb: {
+    name: "NMBS/SNCB",
+    color: "#0069b4",
+    ids: "gtfs",
+    realtime: { auth: { urlSecret: "SNCB_GTFSRT_URL" } },
+    static:   { auth: { urlSecret: "SNCB_GTFS_URL" } },
+  },
+};
+
+// Name of the env var / secret a source needs, for error messages
+export function sourceSecret(src) {
+  return src?.auth?.urlSecret || src?.auth?.secret || null;
+}
+
+// { url, headers } for a realtime/static source, or null when its secret is not set
+export function feedRequest(src, env) {
+  const auth = src?.auth;
+  if (!auth) return src?.url ? { url: src.url, headers: {} } : null;
+  if (auth.urlSecret) return env[auth.urlSecret] ? { url: env[auth.urlSecret], headers: {} } : null;
+
+  const key = env[auth.secret];
+  if (!key || !src.url) return null;
+  if (auth.header) return { url: src.url, headers: { [auth.header]: key } };
+  const u = new URL(src.url);
+  u.searchParams.set(auth.query, key);
+  return { url: u.toString(), headers: {} };
+}
+
+export function prefixId(agency, id) {
+  return !id || agency === DEFAULT_AGENCY ? id : `${agency}:${id}`;
+}
+
+// "stib:1234" → ["stib", "1234"]; bare ids belong to DEFAULT_AGENCY
+export function splitId(id) {
+  const i = id.indexOf(":");
+  const agency = i > 0 ? id.slice(0, i) : "";
+  return agency !== DEFAULT_AGENCY && FEEDS[agency] ? [agency, id.slice(i + 1)] : [DEFAULT_AGENCY, id];
+}
+
+// Static trip key / line code of a raw (unprefixed) trip id, per the agency's `ids` scheme
+export function tripKeyOf(agency, tripId) {
+  return FEEDS[agency].ids === "delijn" ? tripId.split("_").slice(0, 3).join("_") : tripId;
+}
+
+// Stop-times entry ("key" or, De Lijn-style ids only, "key:idx") → [trip key, idx].
+// A plain trip_id may itself end in ":<digits>", so only "delijn" ids are split.
+export function splitEntryKey(agency, entryKey) {
+  const m = FEEDS[agency].ids === "delijn" && entryKey.match(/^(.*):(\d+)$/);
+  return m ? [m[1], +m[2]] : [entryKey, 0];
+}
+
+export function lineCodeOf(agency, tripId, routeId) {
+  if (FEEDS[agency].ids !== "delijn") return routeId;
+  return tripId ? tripId.split("_")[0] : (routeId || "").slice(0, -1);
+}
+
+// File name of a line's shapes/ and stop-times/ chunk (line codes may contain any character)
+export function lineFileName(lineCode) {
+  return lineCode.replace(/[^\w.-]/g, "_");
+}
+
+// Public path of an agency's static bundle (static-lookup.json, stops.json, shapes/, …)
+export function agencyBase(agency) {
+  return agency === DEFAULT_AGENCY ? "/" : `/agencies/${agency}/`;
+}
@@ -0,0 +1,130 @@
+/**
+ * Geotransport — feed recordings
+ *
+ * Raw upstream responses saved with the wall-clock time they were fetched, shared
+ * by the Worker (records into R2, replays /api/gtfs and /api/kern/halte-rt) and
+ * scripts/feed-recorder.js (records into and serves a local directory).
+ *
+ *   gtfs/<agency>/<YYYY-MM-DDTHH>/<unix>.pb     GTFS-RT protobuf, byte for byte
+ *   kern/<stopId>/<YYYY-MM-DDTHH>/<unix>.json   Kern halte real-time JSON, unslimmed
+ *
+ * The hour directory (UTC) keeps listings short: finding the recording in effect
+ * at a moment lists one or two hours, never the whole run.
+ *
+ * A store is { list(prefix) → { keys, prefixes }, get(key) → ArrayBuffer | null,
+ * put(key, body) }. list() is one level deep, like R2's delimiter "/": `keys` are
+ * the objects directly under prefix, `prefixes` the sub-"directories" (ending in
+ * "/"), both sorted. Over HTTP (httpStore ↔ feed-recorder.js serve) that is
+ *   GET <base>/list?prefix=<prefix>   → { keys, prefixes }
+ *   GET <base>/<key>                  → the recording, 404 when there is none
+ */
+
+const RECORDING_EXT = { gtfs: "pb", kern: "json" };
+
+const LIST_TTL = 30_000;    // ms a listing is reused — only the hour being recorded still grows
+const LIST_MAX = 256;       // listings kept per isolate / process
+const listings = new Map(); // "<store>|<prefix>" → { at, value }
+
+// Unix seconds → "2026-10-19T07" (UTC)
+export function recordingHour(t) {
+  return new Date(t * 1000).toISOString().slice(0, 13);
+}
+
+export function recordingKey(kind, name, t) {
+  return `${kind}/${name}/${recordingHour(t)}/${t}.${RECORDING_EXT[kind]}`;
+}
+
+// "gtfs/delijn/2026-10-19T07/1792393200.pb" → 1792393200
+export function recordingTime(key) {
+  return Number(key.slice(key.lastIndexOf("/") + 1, key.lastIndexOf(".")));
+}
+
+// ── Stores ────────────────────────────────────────────────────────────────────
+
+export function r2Store(bucket) {
+  return {
+    id: "r2",
+    async list(prefix) {
+      const keys = [], prefixes = [];
+      let cursor;
+      do {
+        const page = await bucket.list({ prefix, delimiter: "/", cursor });
+        keys.push(...page.objects.map(o => o.key));
+        prefixes.push(...page.delimitedPrefixes);
+        cursor = page.truncated ? page.cursor : undefined;
+      } while (cursor);
+      return { keys: keys.sort(), prefixes: prefixes.sort() };
+    },
+    async get(key) {
+      const obj = await bucket.get(key);
+      return obj ? obj.arrayBuffer() : null;
+    },
+    put(key, body) {
+      return bucket.put(key, body);
+    },
+  };
+}
+
+export function httpStore(base) {
+  base = base.replace(/\/+$/, "");
+  return {
+    id: base,
+    async list(prefix) {
+      const r = await fetch(`${base}/list?prefix=${encodeURIComponent(prefix)}`);
+      if (!r.ok) throw new Error(`Recordings ${base}: HTTP ${r.status}`);
+      return r.json();
+    },
+    async get(key) {
+      const r = await fetch(`${base}/${key}`);
+      if (r.status === 404) return null;
+      if (!r.ok) throw new Error(`Recordings ${base}: HTTP ${r.status}`);
+      return r.arrayBuffer();
+    },
+    put() {
+      throw new Error("HTTP recordings are read-only");
+    },
+  };
+}
+
+async function cachedList(store, prefix) {
+  const k = `${store.id}|${prefix}`, hit = listings.get(k);
+  if (hit && Date.now() - hit.at < LIST_TTL) return hit.value;
+  const value = await store.list(prefix);
+  listings.delete(k);
+  listings.set(k, { at: Date.now(), value });
+  if (listings.size > LIST_MAX) listings.delete(listings.keys().next().value);
+  return value;
+}
+
+// ── Lookups ───────────────────────────────────────────────────────────────────
+
+// The names recorded under a kind ("gtfs" → agencies, "kern" → stop ids)
+export async function recordedNames(store, kind) {
+  const { prefixes } = await cachedList(store, `${kind}/`);
+  return prefixes.map(p => p.slice(kind.length + 1, -1));
+}
+
+// { from, to } — unix seconds of the first and last recording of one name, or null
+export async function recordingRange(store, kind, name) {
+  const { prefixes: hours } = await cachedList(store, `${kind}/${name}/`);
+  if (!hours.length) return null;
+  const first = (await cachedList(store, hours[0])).keys;
+  const last  = (await cachedList(store, hours[hours.length - 1])).keys;
+  if (!first.length || !last.length) return null;
+  return { from: recordingTime(first[0]), to: recordingTime(last[last.length - 1]) };
+}
+
+// The last recording of one name at or before unix time `at` and at most maxAge
+// seconds older → { key, t }, or null. Looks in at's hour and the one before, so
+// maxAge must not exceed an hour.
+export async function findRecording(store, kind, name, at, maxAge) {
+  for (const hour of [recordingHour(at), recordingHour(at - 3600)]) {
+    const { keys } = await cachedList(store, `${kind}/${name}/${hour}/`);
+    for (let i = keys.length - 1; i >= 0; i--) {
+      const t = recordingTime(keys[i]);
+      if (t > at) continue;
+      return at - t <= maxAge ? { key: keys[i], t } : null;
+    }
+  }
+  return null;
+}
@@ -1,19 +1,64 @@
 /**
- * Geotransport — De Lijn GTFS-RT Cloudflare Worker
+ * Geotransport — GTFS-RT Cloudflare Worker (De Lijn + every agency in src/feeds.js)
  *
  * PERFORMANCE DESIGN:
  *   Instead of decoding the full protobuf tree and re-serialising it as JSON
  *   (which was ~400 KB+ and killed the CPU), this worker does a single-pass
- *   streaming extraction of only the 4 fields the frontend needs per vehicle:
+ *   streaming extraction of only the fields the frontend needs per vehicle:
  *     lat, lng, bearing, vehicleId — from VehiclePosition entities
+ *     timestamp, and when present speed, stop id/sequence, current status,
+ *     occupancy and congestion    — likewise
  *     tripId, routeId, delay       — joined from TripUpdate entities
- *     scheduleRelationship=3       — for canceled trips
+ *     scheduleRelationship=3       — for canceled trips, and the SKIPPED
+ *     stops of partially canceled ones
+ *     header/description, periods  — from Alert entities (served on /api/alerts)
  *
  *   Output JSON is ~15–30 KB regardless of how large the upstream feed is.
+ *   ?format=pb passes the upstream protobuf through; ?format=delta sends only
+ *   what changed since the client's last feed.
+ *
+ * AGENCIES:
+ *   Every feed in the registry (src/feeds.js) whose secret is set is fetched
+ *   and decoded separately, then merged. Ids of agencies other than
+ *   DEFAULT_AGENCY are prefixed "<agency>:" so they never collide.
+ *
+ * DEPARTURES:
+ *   /api/departures reads the static bundle back through the ASSETS binding
+ *   and joins one stop's timetable with the realtime TripUpdates, so a stop
+ *   board needs neither the Kern API nor a live feed.
+ *
+ * PUSH:
+ *   /api/stream hands WebSocket clients to the FeedHub Durable Object, which
+ *   polls upstream once per CACHE_TTL for all of them and pushes deltas.
+ *
+ * HISTORY:
+ *   Every freshly decoded feed is also handed to the VehicleHistory Durable
+ *   Object, which keeps the last HISTORY_HOURS of positions per vehicle in
+ *   its SQLite storage (Miniflare-backed under `wrangler dev`), and to the
+ *   PunctualityStats Durable Object, which folds it into hourly per-line
+ *   delay buckets for STATS_DAYS (/api/stats).
+ *
+ * RESILIENCE:
+ *   When an agency's upstream fails, its last good protobuf (up to STALE_MAX
+ *   old) is served instead, flagged with X-Feed-Age and `sources[agency].stale`.
+ *   Concurrent cache misses within an isolate share one upstream fetch and one
+ *   decode. Clients are rate limited per IP (API_LIMIT, KERN_LIMIT bindings),
+ *   and every upstream outcome is recorded for /api/health.
+ *
+ * RECORD / REPLAY:
+ *   With RECORD = "1" every upstream protobuf and Kern response the worker
+ *   fetches is also saved to the RECORDINGS R2 bucket (layout: src/recordings.js).
+ *   With REPLAY = "1" /api/gtfs, /api/alerts and /api/kern/halte-rt serve those
+ *   recordings instead — or a directory served by scripts/feed-recorder.js at
+ *   REPLAY_URL — as they were at ?at=<unix seconds>, the page's virtual clock.
  */
 
-const GTFS_URL =
-  "https://api.delijn.be/gtfs/v3/realtime?canceled=true&delay=true&position=true&vehicleid=true&tripid=true";
+import { DurableObject } from "cloudflare:workers";
+import {
+  FEEDS, DEFAULT_AGENCY, feedRequest, sourceSecret, prefixId, splitId, agencyBase, lineFileName, tripKeyOf, lineCodeOf,
+  splitEntryKey,
+} from "./feeds.js";
+import { r2Store, httpStore, recordingKey, recordedNames, recordingRange, findRecording } from "./recordings.js";
 
 const KERN_BASE = "https://api.delijn.be/DLKernOpenData/api/v1/haltes";
 
@@ -105,38 +150,84 @@ function extractTripDescriptor(r) {
   return o;
 }
 
-function extractTripUpdate(r) {
-  let trip = null, lastDelay = null;
+const STU_SKIPPED = 1; // StopTimeUpdate.ScheduleRelationship
+
+function extractStopTimeEvent(r) {
+  let delay = null, time = null;
+  while (!r.done) {
+    const [f, w] = r.tag();
+    if      (f === 1 && w === 0) delay = r.si();
+    else if (f === 2 && w === 0) time  = r.vi();
+    else r.skip(w);
+  }
+  return { delay, time };
+}
+
+// withStops=false keeps the hot /api/gtfs path lean: only the last delay is kept,
+// plus { seq, stopId } of SKIPPED stops (their stop_id is decoded only then).
+// withStops=true also collects every StopTimeUpdate for /api/trip.
+function extractTripUpdate(r, withStops = false) {
+  let trip = null, lastDelay = null, skipped = null;
+  const stops = withStops ? [] : null;
   while (!r.done) {
     const [f, w] = r.tag();
     if (f === 1 && w === 2) {
       trip = extractTripDescriptor(r.sub());
     } else if (f === 2 && w === 2) {
       const stu = r.sub();
-      let d = null;
+      const st  = withStops
+        ? { seq: null, stopId: "", arrivalDelay: null, arrivalTime: null, departureDelay: null, departureTime: null, skipped: false }
+        : null;
+      let d = null, seq = null, stopIdAt = -1, isSkipped = false;
       while (!stu.done) {
         const [sf, sw] = stu.tag();
         if ((sf === 2 || sf === 3) && sw === 2) {
-          const ste = stu.sub();
-          while (!ste.done) {
-            const [ef, ew] = ste.tag();
-            if (ef === 1 && ew === 0) d = ste.si();
-            else ste.skip(ew);
-          }
-        } else stu.skip(sw);
+          const ev = extractStopTimeEvent(stu.sub());
+          if (ev.delay !== null) d = ev.delay;
+          if (st && sf === 2) { st.arrivalDelay   = ev.delay; st.arrivalTime   = ev.time; }
+          if (st && sf === 3) { st.departureDelay = ev.delay; st.departureTime = ev.time; }
+        }
+        else if (st && sf === 1 && sw === 0) st.seq     = stu.vi();
+        else if (st && sf === 4 && sw === 2) st.stopId  = stu.str();
+        else if (st && sf === 5 && sw === 0) st.skipped = stu.vi() === STU_SKIPPED;
+        else if (sf === 1 && sw === 0) seq       = stu.vi();
+        else if (sf === 4 && sw === 2) { stopIdAt = stu.p; stu.skip(sw); }
+        else if (sf === 5 && sw === 0) isSkipped = stu.vi() === STU_SKIPPED;
+        else stu.skip(sw);
       }
       if (d !== null) lastDelay = d;
+      if (st) stops.push(st);
+      else if (isSkipped) {
+        let stopId = "";
+        if (stopIdAt >= 0) { stu.p = stopIdAt; stopId = stu.str(); }
+        (skipped ??= []).push({ seq, stopId });
+      }
     } else {
       r.skip(w);
     }
   }
-  return trip ? { tripId: trip.tripId, routeId: trip.routeId, schedRel: trip.schedRel, directionId: trip.directionId, delay: lastDelay } : null;
+  if (!trip) return null;
+  const o = { tripId: trip.tripId, routeId: trip.routeId, schedRel: trip.schedRel, directionId: trip.directionId, delay: lastDelay };
+  if (stops) o.stops = stops;
+  if (skipped) o.skipped = skipped;
+  return o;
 }
 
+// VehiclePosition enums → names. Index = wire value.
+const VP_STATUSES   = ["INCOMING_AT", "STOPPED_AT", "IN_TRANSIT_TO"];
+const VP_CONGESTION = ["UNKNOWN_CONGESTION_LEVEL", "RUNNING_SMOOTHLY", "STOP_AND_GO", "CONGESTION", "SEVERE_CONGESTION"];
+const VP_OCCUPANCY  = [
+  "EMPTY", "MANY_SEATS_AVAILABLE", "FEW_SEATS_AVAILABLE", "STANDING_ROOM_ONLY",
+  "CRUSHED_STANDING_ROOM_ONLY", "FULL", "NOT_ACCEPTING_PASSENGERS", "NO_DATA_AVAILABLE", "NOT_BOARDABLE",
+];
+
+// Optional fields (speed, stop, status, occupancy, congestion) are only set when the
+// feed carries them, so feeds without them don't grow the JSON.
 function extractVehiclePosition(r) {
   let tripId = "", routeId = "";
-  let lat = 0, lng = 0, bearing = null;
-  let vehicleId = "", label = "";
+  let lat = 0, lng = 0, bearing = null, speed = null;
+  let vehicleId = "", label = "", timestamp = null;
+  let stopId = "", stopSequence = null, status = null, congestion = null, occupancy = null;
 
   while (!r.done) {
     const [f, w] = r.tag();
@@ -155,6 +246,7 @@ function extractVehiclePosition(r) {
         if      (pf === 1 && pw === 5) lat     = pos.f32();
         else if (pf === 2 && pw === 5) lng     = pos.f32();
         else if (pf === 3 && pw === 5) bearing = pos.f32();
+        else if (pf === 5 && pw === 5) speed   = pos.f32();
         else pos.skip(pw);
       }
     } else if (f === 8 && w === 2) {
@@ -165,22 +257,117 @@ function extractVehiclePosition(r) {
         else if (vf === 2 && vw === 2) label     = vd.str();
         else vd.skip(vw);
       }
+    } else if (f === 5 && w === 0) {
+      timestamp = r.vi();
+    } else if (f === 3 && w === 0) {
+      stopSequence = r.vi();
+    } else if (f === 7 && w === 2) {
+      stopId = r.str();
+    } else if (f === 4 && w === 0) {
+      status = VP_STATUSES[r.vi()] ?? null;
+    } else if (f === 6 && w === 0) {
+      congestion = VP_CONGESTION[r.vi()] ?? null;
+    } else if (f === 9 && w === 0) {
+      occupancy = VP_OCCUPANCY[r.vi()] ?? null;
     } else {
       r.skip(w);
     }
   }
 
   if (!lat || !lng) return null;
-  return { vehicleId: vehicleId || label, tripId, routeId, lat, lng, bearing };
+  const v = { vehicleId: vehicleId || label, tripId, routeId, lat, lng, bearing, timestamp };
+  if (speed != null && speed >= 0) v.speed = Math.round(speed * 10) / 10;   // m/s
+  if (stopId) v.stopId = stopId;
+  if (stopSequence != null) v.stopSequence = stopSequence;
+  // current_status defaults to IN_TRANSIT_TO, but only means something next to a stop
+  if (stopId || stopSequence != null) v.status = status ?? "IN_TRANSIT_TO";
+  if (occupancy) v.occupancy = occupancy;
+  if (congestion && congestion !== "UNKNOWN_CONGESTION_LEVEL") v.congestion = congestion;
+  return v;
 }
 
-function extractFeed(buf) {
-  const r = new PB(buf instanceof ArrayBuffer ? new Uint8Array(buf) : buf);
+// ── Service alerts ───────────────────────────────────────────────────────────
+// GTFS-RT enum values → names. Index = wire value.
 
-  const delayMap    = new Map();
-  const canceledMap = new Map();
-  const vehicles    = [];
+const ALERT_CAUSES = [
+  null, "UNKNOWN_CAUSE", "OTHER_CAUSE", "TECHNICAL_PROBLEM", "STRIKE", "DEMONSTRATION",
+  "ACCIDENT", "HOLIDAY", "WEATHER", "MAINTENANCE", "CONSTRUCTION", "POLICE_ACTIVITY", "MEDICAL_EMERGENCY",
+];
+const ALERT_EFFECTS = [
+  null, "NO_SERVICE", "REDUCED_SERVICE", "SIGNIFICANT_DELAYS", "DETOUR", "ADDITIONAL_SERVICE",
+  "MODIFIED_SERVICE", "OTHER_EFFECT", "UNKNOWN_EFFECT", "STOP_MOVED", "NO_EFFECT", "ACCESSIBILITY_ISSUE",
+];
+const ALERT_SEVERITIES = [null, "UNKNOWN_SEVERITY", "INFO", "WARNING", "SEVERE"];
 
+// TranslatedString → { lang: text }. Untagged translations use the "" key.
+function extractTranslated(r) {
+  const out = {};
+  while (!r.done) {
+    const [f, w] = r.tag();
+    if (f === 1 && w === 2) {
+      const tr = r.sub();
+      let text = "", lang = "";
+      while (!tr.done) {
+        const [tf, tw] = tr.tag();
+        if      (tf === 1 && tw === 2) text = tr.str();
+        else if (tf === 2 && tw === 2) lang = tr.str();
+        else tr.skip(tw);
+      }
+      if (text) out[lang.toLowerCase()] = text;
+    } else r.skip(w);
+  }
+  return out;
+}
+
+function extractEntitySelector(r) {
+  const o = {};
+  while (!r.done) {
+    const [f, w] = r.tag();
+    if      (f === 1 && w === 2) o.agencyId    = r.str();
+    else if (f === 2 && w === 2) o.routeId     = r.str();
+    else if (f === 3 && w === 0) o.routeType   = r.vi();
+    else if (f === 4 && w === 2) o.tripId      = extractTripDescriptor(r.sub()).tripId;
+    else if (f === 5 && w === 2) o.stopId      = r.str();
+    else if (f === 6 && w === 0) o.directionId = r.vi();
+    else r.skip(w);
+  }
+  return o;
+}
+
+function extractAlert(r, id) {
+  const o = { id, cause: null, effect: null, severity: null, header: {}, description: {}, url: {}, periods: [], informed: [] };
+  while (!r.done) {
+    const [f, w] = r.tag();
+    if (f === 1 && w === 2) {
+      const tr = r.sub();
+      let start = null, end = null;
+      while (!tr.done) {
+        const [tf, tw] = tr.tag();
+        if      (tf === 1 && tw === 0) start = tr.vi();
+        else if (tf === 2 && tw === 0) end   = tr.vi();
+        else tr.skip(tw);
+      }
+      o.periods.push({ start, end });
+    }
+    else if (f === 5  && w === 2) o.informed.push(extractEntitySelector(r.sub()));
+    else if (f === 6  && w === 0) o.cause       = ALERT_CAUSES[r.vi()]     ?? "UNKNOWN_CAUSE";
+    else if (f === 7  && w === 0) o.effect      = ALERT_EFFECTS[r.vi()]    ?? "UNKNOWN_EFFECT";
+    else if (f === 8  && w === 2) o.url         = extractTranslated(r.sub());
+    else if (f === 10 && w === 2) o.header      = extractTranslated(r.sub());
+    else if (f === 11 && w === 2) o.description = extractTranslated(r.sub());
+    else if (f === 14 && w === 0) o.severity    = ALERT_SEVERITIES[r.vi()] ?? "UNKNOWN_SEVERITY";
+    else r.skip(w);
+  }
+  return o;
+}
+
+// ── Feed walker ──────────────────────────────────────────────────────────────
+// Walks a FeedMessage, calling onEntity(reader) once per FeedEntity.
+// A bad entity is skipped without aborting the scan; onEntity may return true to stop early.
+// Returns the header timestamp.
+
+function scanFeed(buf, onEntity) {
+  const r = new PB(buf instanceof ArrayBuffer ? new Uint8Array(buf) : buf);
   let timestamp = 0;
 
   while (!r.done) {
@@ -196,36 +383,56 @@ function extractFeed(buf) {
     } else if (f === 2 && w === 2) {
       const entityLen = r.vi();
       const entityEnd = r.p + entityLen;
+      let stop = false;
 
-      try {
-        const er = new PB(r.b.subarray(r.p, entityEnd));
-        let entityId = "";
-        let tuData = null, vpData = null;
-
-        while (!er.done) {
-          const [ef, ew] = er.tag();
-          if      (ef === 1 && ew === 2) entityId = er.str();
-          else if (ef === 3 && ew === 2) tuData   = extractTripUpdate(er.sub());
-          else if (ef === 4 && ew === 2) vpData   = extractVehiclePosition(er.sub());
-          else er.skip(ew);
-        }
-
-        if (tuData) {
-          if (tuData.schedRel === 3) {
-            canceledMap.set(tuData.tripId, { tripId: tuData.tripId, routeId: tuData.routeId });
-          } else if (tuData.delay !== null) {
-            delayMap.set(tuData.tripId, { delay: tuData.delay, directionId: tuData.directionId ?? -1 });
-          }
-        }
-
-        if (vpData) vehicles.push(vpData);
-      } catch (_) { /* skip bad entity */ }
+      try { stop = onEntity(new PB(r.b.subarray(r.p, entityEnd))) === true; }
+      catch (_) { /* skip bad entity */ }
 
       r.p = entityEnd;
+      if (stop) break;
     } else {
       r.skip(w);
     }
   }
+  return timestamp;
+}
+
+function extractFeed(buf) {
+  const delayMap    = new Map();
+  const canceledMap = new Map();
+  const vehicles    = [];
+  const alerts      = [];
+
+  const timestamp = scanFeed(buf, er => {
+    let entityId = "";
+    let tuData = null, vpData = null, alertReader = null;
+
+    while (!er.done) {
+      const [ef, ew] = er.tag();
+      if      (ef === 1 && ew === 2) entityId    = er.str();
+      else if (ef === 3 && ew === 2) tuData      = extractTripUpdate(er.sub());
+      else if (ef === 4 && ew === 2) vpData      = extractVehiclePosition(er.sub());
+      else if (ef === 5 && ew === 2) alertReader = er.sub();
+      else er.skip(ew);
+    }
+
+    // Alert is decoded after the loop so it gets the entity id even when field 1 comes last
+    if (alertReader) alerts.push(extractAlert(alertReader, entityId));
+
+    if (tuData) {
+      if (tuData.schedRel === 3) {
+        canceledMap.set(tuData.tripId, { tripId: tuData.tripId, routeId: tuData.routeId, directionId: tuData.directionId ?? -1 });
+      } else {
+        // Partially canceled: the trip runs but SKIPS some stops — listed with them
+        if (tuData.skipped) {
+          canceledMap.set(tuData.tripId, { tripId: tuData.tripId, routeId: tuData.routeId, directionId: tuData.directionId ?? -1, skipped: tuData.skipped });
+        }
+        if (tuData.delay !== null) delayMap.set(tuData.tripId, { delay: tuData.delay, directionId: tuData.directionId ?? -1 });
+      }
+    }
+
+    if (vpData) vehicles.push(vpData);
+  });
 
   for (const v of vehicles) {
     const tu = delayMap.get(v.tripId);
@@ -233,24 +440,176 @@ function extractFeed(buf) {
     v.directionId = tu?.directionId ?? -1;
   }
 
+  const canceled = [...canceledMap.values()], partial = canceled.filter(c => c.skipped).length;
   return {
     timestamp,
     vehicles,
-    canceled: [...canceledMap.values()],
+    canceled,
+    alerts,
     counts: {
-      entities: vehicles.length + canceledMap.size,
+      entities: vehicles.length + canceled.length - partial,
       vehicles: vehicles.length,
-      canceled: canceledMap.size,
+      canceled: canceled.length - partial,
+      partial,
+      alerts:   alerts.length,
     },
   };
 }
 
+// Per-stop predictions for one trip. Stops the scan as soon as the trip is found.
+function extractTrip(buf, tripId) {
+  let found = null;
+  const timestamp = scanFeed(buf, er => {
+    while (!er.done) {
+      const [ef, ew] = er.tag();
+      if (ef === 3 && ew === 2) {
+        const tu = extractTripUpdate(er.sub(), true);
+        if (tu?.tripId === tripId) { found = tu; return true; }
+      } else er.skip(ew);
+    }
+  });
+  return found ? { timestamp, ...found } : null;
+}
+
+// Realtime state of every trip that calls at one stop, for /api/departures.
+// tripId → { delay, canceled, stop (its StopTimeUpdate there, if any), vehicleId }
+function extractStopUpdates(buf, stopId) {
+  const trips = new Map(), vehicles = new Map();
+  const timestamp = scanFeed(buf, er => {
+    while (!er.done) {
+      const [ef, ew] = er.tag();
+      if (ef === 3 && ew === 2) {
+        const tu = extractTripUpdate(er.sub(), true);
+        if (!tu) continue;
+        trips.set(tu.tripId, {
+          delay:    tu.delay,
+          canceled: tu.schedRel === 3,
+          stop:     tu.stops.find(st => st.stopId === stopId) || null,
+        });
+      } else if (ef === 4 && ew === 2) {
+        const vp = extractVehiclePosition(er.sub());
+        if (vp?.tripId) vehicles.set(vp.tripId, vp.vehicleId);
+      } else er.skip(ew);
+    }
+  });
+  for (const [tripId, t] of trips) t.vehicleId = vehicles.get(tripId) || null;
+  return { timestamp, trips };
+}
+
+// Every TripUpdate in the feed without its stops: tripId → { routeId, directionId, delay, canceled }
+function extractTripUpdates(buf) {
+  const trips = new Map();
+  scanFeed(buf, er => {
+    while (!er.done) {
+      const [ef, ew] = er.tag();
+      if (ef === 3 && ew === 2) {
+        const tu = extractTripUpdate(er.sub());
+        if (tu?.tripId) trips.set(tu.tripId, { routeId: tu.routeId, directionId: tu.directionId, delay: tu.delay, canceled: tu.schedRel === 3 });
+      } else er.skip(ew);
+    }
+  });
+  return trips;
+}
+
+// ── Agencies ─────────────────────────────────────────────────────────────────
+// Tag one agency's decoded feed in place: every id gets the agency prefix and
+// every vehicle / canceled trip / alert an `agency` field.
+
+function tagFeed(feed, agency) {
+  const p = id => prefixId(agency, id);
+  for (const v of feed.vehicles) {
+    v.agency = agency; v.vehicleId = p(v.vehicleId); v.tripId = p(v.tripId); v.routeId = p(v.routeId);
+    if (v.stopId) v.stopId = p(v.stopId);
+  }
+  for (const c of feed.canceled) {
+    c.agency = agency; c.tripId = p(c.tripId); c.routeId = p(c.routeId);
+    for (const st of c.skipped || []) if (st.stopId) st.stopId = p(st.stopId);
+  }
+  for (const a of feed.alerts) {
+    a.agency = agency; a.id = p(a.id);
+    for (const ie of a.informed) for (const k of ["routeId", "tripId", "stopId"]) if (ie[k]) ie[k] = p(ie[k]);
+  }
+  return feed;
+}
+
+// Prefix an extractTrip result's ids; tripId is the requested (already prefixed) id
+function tagTrip(trip, agency, tripId) {
+  trip.tripId  = tripId;
+  trip.routeId = prefixId(agency, trip.routeId);
+  for (const st of trip.stops) st.stopId = prefixId(agency, st.stopId);
+  return trip;
+}
+
+function mergeFeeds(feeds) {
+  const out = { timestamp: 0, vehicles: [], canceled: [], alerts: [], counts: { entities: 0, vehicles: 0, canceled: 0, partial: 0, alerts: 0 } };
+  for (const f of feeds) {
+    out.timestamp = Math.max(out.timestamp, f.timestamp || 0);
+    out.vehicles.push(...f.vehicles);
+    out.canceled.push(...f.canceled);
+    out.alerts.push(...f.alerts);
+    for (const k of Object.keys(out.counts)) out.counts[k] += f.counts[k];
+  }
+  return out;
+}
+
+// Fetch (via getRaw → { raw, stale }) and decode every agency, then merge. A failing
+// agency is reported under `sources`, a stale one with its age; throws the first
+// error when none answered.
+async function decodeFeeds(agencies, getRaw) {
+  const results = await Promise.allSettled(agencies.map(async agency => {
+    const { raw, stale } = await getRaw(agency);
+    try { return { feed: tagFeed(extractFeed(raw), agency), stale }; }
+    catch (err) { throw Object.assign(new Error(`Protobuf decode failed: ${err.message}`), { status: 500 }); }
+  }));
+
+  const feeds = [], sources = {};
+  results.forEach((r, i) => {
+    if (r.status === "fulfilled") {
+      const { feed, stale } = r.value;
+      feeds.push(feed);
+      sources[agencies[i]] = { timestamp: feed.timestamp, vehicles: feed.counts.vehicles, ...(stale && { stale }) };
+    } else {
+      sources[agencies[i]] = { error: r.reason.message };
+      console.error(`[GT] ${agencies[i]} feed:`, r.reason.message);
+    }
+  });
+  if (!feeds.length) throw Object.assign(results[0].reason, { sources });
+
+  const feed = mergeFeeds(feeds);
+  feed.sources = sources;
+  return feed;
+}
+
+// Agencies whose realtime secret is configured, DEFAULT_AGENCY first
+function enabledAgencies(env) {
+  return Object.keys(FEEDS).filter(a => feedRequest(FEEDS[a].realtime, env));
+}
+
+function noFeedsError() {
+  const secret = sourceSecret(FEEDS[DEFAULT_AGENCY].realtime);
+  return jsonResp({ error: `No realtime feed configured. Run: wrangler secret put ${secret}` }, 500);
+}
+
 // ── Helpers ───────────────────────────────────────────────────────────────────
 
 const CACHE_TTL  = 14;  // seconds — GTFS-RT feed cache
 const KERN_TTL   = 20;  // seconds — halte real-time doorkomsten cache
+const ALERTS_TTL = 60;  // seconds — service alerts change far less often than positions
 
-const CACHE_KEY  = "https://geotransport-cache.internal/api/gtfs";
+const FEEDS_TTL  = 300; // seconds — the registry only changes on deploy
+const STATS_TTL  = 60;  // seconds — /api/stats, hourly buckets barely move within a minute
+
+const STALE_MAX     = 3600;  // seconds the last good feed is served while upstream fails
+const HEALTH_WINDOW = 3600;  // seconds of upstream errors counted by /api/health
+const HEALTH_ERRORS = 200;   // error entries kept per upstream
+const HEALTH_TTL    = 86400; // seconds the health record outlives the last upstream call
+const LIMIT_PERIOD  = 60;    // seconds — must match the ratelimits periods in wrangler.toml
+
+const CACHE_KEY        = "https://geotransport-cache.internal/api/gtfs";
+const ALERTS_CACHE_KEY = "https://geotransport-cache.internal/api/alerts";
+const PROTO_CACHE_BASE = "https://geotransport-cache.internal/gtfs";   // + /<agency>.pb
+const LAST_GOOD_BASE   = "https://geotransport-cache.internal/gtfs-last";   // + /<agency>.pb
+const HEALTH_CACHE_KEY = "https://geotransport-cache.internal/health";
 
 function jsonResp(obj, status = 200, extra = {}) {
   return new Response(JSON.stringify(obj), {
@@ -264,18 +623,1227 @@ function jsonResp(obj, status = 200, extra = {}) {
   });
 }
 
-async function fetchProto(env) {
-  const resp = await fetch(GTFS_URL, {
+// Return a cached response with fresh CORS headers and X-Cache: HIT, or null on miss.
+async function cacheHit(cache, cacheReq) {
+  const cached = await cache.match(cacheReq);
+  if (!cached) return null;
+  const headers = new Headers(cached.headers);
+  Object.entries(CORS).forEach(([k, v]) => headers.set(k, v));
+  headers.set("X-Cache", "HIT");
+  return new Response(cached.body, { status: cached.status, headers });
+}
+
+// X-Feed-Age (seconds since the oldest stale agency's last good fetch) and
+// X-Feed-Stale (those agencies) when any source is served from its last good copy
+function staleHeaders(feed) {
+  const stale = Object.entries(feed.sources || {}).filter(([, s]) => s.stale);
+  if (!stale.length) return {};
+  return { "X-Feed-Age": String(Math.max(...stale.map(([, s]) => s.stale))), "X-Feed-Stale": stale.map(([a]) => a).join(",") };
+}
+
+function feedResp(slim, cacheStatus) {
+  return jsonResp(slim, 200, { "X-Cache": cacheStatus, ...staleHeaders(slim) });
+}
+
+function alertsResp(feed, cacheStatus) {
+  return jsonResp(
+    { timestamp: feed.timestamp, alerts: feed.alerts },
+    200,
+    { "Cache-Control": `public, max-age=${ALERTS_TTL}`, "X-Cache": cacheStatus, ...staleHeaders(feed) }
+  );
+}
+
+// Per-client limit through a Workers Rate Limiting binding, keyed by client IP.
+// No binding (or a failing one) limits nothing.
+async function rateLimited(limiter, request) {
+  if (!limiter) return false;
+  try {
+    const { success } = await limiter.limit({ key: request.headers.get("CF-Connecting-IP") || "unknown" });
+    return !success;
+  } catch (err) {
+    console.error("[GT] rate limiter:", err.message);
+    return false;
+  }
+}
+
+function tooManyRequests() {
+  return jsonResp({ error: "Too many requests, slow down" }, 429, { "Retry-After": String(LIMIT_PERIOD), "Cache-Control": "no-store" });
+}
+
+// Upstream fetches and decodes in flight in this isolate, so concurrent cache
+// misses wait for the same one instead of each calling upstream
+const inflight = new Map();   // key → Promise
+function coalesce(key, fn) {
+  let p = inflight.get(key);
+  if (!p) {
+    p = fn().finally(() => inflight.delete(key));
+    inflight.set(key, p);
+  }
+  return p;
+}
+
+async function fetchProto(env, agency) {
+  const { url, headers } = feedRequest(FEEDS[agency].realtime, env);
+  const resp = await fetch(url, {
     headers: {
       "Cache-Control": "no-cache",
-      "Ocp-Apim-Subscription-Key": env.DL_GTFSRT,
+      ...headers,
       "Accept-Encoding": "identity",
     },
   });
-  if (!resp.ok) throw Object.assign(new Error(`De Lijn API ${resp.status}`), { status: resp.status });
+  if (!resp.ok) throw Object.assign(new Error(`${FEEDS[agency].name} API ${resp.status}`), { status: resp.status });
   return resp.arrayBuffer();
 }
 
+// One stop's live doorkomsten from the Kern API, slimmed to what the UI renders.
+// Upstream errors throw with the upstream `status` and body as `detail`.
+async function fetchKern(env, ctx, cache, stopId) {
+  const entiteit = stopId[0];   // first digit = province entity number (1–5)
+  let raw;
+  try {
+    const upstream = await fetch(`${KERN_BASE}/${entiteit}/${stopId}/real-time?maxAantalDoorkomsten=8`, {
+      headers: {
+        "Ocp-Apim-Subscription-Key": env.DL_OPDA,
+        "Accept": "application/json",
+        "Cache-Control": "no-cache",
+      },
+    });
+    if (!upstream.ok) {
+      let errBody = '';
+      try { errBody = await upstream.text(); } catch(_) {}
+      console.error(`[GT] Kern API ${upstream.status} for stop ${stopId}:`, errBody.slice(0, 400));
+      throw Object.assign(new Error(`De Lijn Kern API ${upstream.status}`), { status: upstream.status, detail: errBody.slice(0, 400) });
+    }
+    const text = await upstream.text();
+    raw = JSON.parse(text);
+    record(env, ctx, "kern", stopId, text);
+  } catch (err) {
+    if (!err.status) err.message = "Fetch failed: " + err.message;
+    // An unknown stop (404) is the caller's problem, not an upstream failure
+    if (!err.status || err.status === 429 || err.status >= 500) ctx.waitUntil(noteUpstream(cache, "kern", { error: err }));
+    throw err;
+  }
+  ctx.waitUntil(noteUpstream(cache, "kern", {}));
+  return slimDoorkomsten(raw);
+}
+
+// Slim response — strip all `links` arrays and keep only what the UI renders.
+function slimDoorkomsten(raw) {
+  return (raw.doorkomsten || []).map(d => ({
+    lijnnummer: d.lijnnummer  ?? null,
+    richting:   d.richting    ?? null,
+    bestemming: d.bestemming  ?? null,
+    vias:       Array.isArray(d.vias) ? d.vias : [],
+    scheduled:  d.dienstregelingTijdstip ?? null,
+    realtime:   d["real-timeTijdstip"]   ?? null,
+    vrtnum:     d.vrtnum ?? null,
+    // Normalise the status array — upstream field is predictionStatussen
+    status:     Array.isArray(d.predictionStatussen) ? d.predictionStatussen : [],
+  }));
+}
+
+function protoCopy(raw, ttl, fetchedAt, stale = false) {
+  const headers = { "Content-Type": "application/x-protobuf", "Cache-Control": `public, max-age=${ttl}`, "X-Fetched-At": String(fetchedAt) };
+  if (stale) headers["X-Stale"] = "1";
+  return new Response(raw.slice(0), { headers });
+}
+
+// Seconds since a stale copy's upstream fetch — at least 1, so it always reads as stale
+const staleAge = fetchedAt => Math.max(1, Math.round((Date.now() - fetchedAt) / 1000));
+
+// Raw upstream protobuf per agency → { raw, stale }, edge-cached so every endpoint
+// that decodes the feed (/api/gtfs, /api/alerts, /api/trip) shares one upstream call
+// per CACHE_TTL. When upstream fails the last good copy is returned instead, and
+// cached for CACHE_TTL so a failing upstream isn't retried on every request;
+// `stale` is its age in seconds (0 for a fresh copy). Throws when there is none.
+async function getProto(env, ctx, cache, agency) {
+  const req    = new Request(`${PROTO_CACHE_BASE}/${agency}.pb`);
+  const cached = await cache.match(req);
+  if (cached) {
+    const stale = cached.headers.get("X-Stale") ? staleAge(Number(cached.headers.get("X-Fetched-At"))) : 0;
+    return { raw: await cached.arrayBuffer(), stale };
+  }
+
+  return coalesce(`proto/${agency}`, async () => {
+    const lastReq = new Request(`${LAST_GOOD_BASE}/${agency}.pb`);
+    let raw;
+    try {
+      raw = await fetchProto(env, agency);
+    } catch (err) {
+      ctx.waitUntil(noteUpstream(cache, agency, { error: err }));
+      const last = await cache.match(lastReq);
+      if (!last) throw err;
+      const fetchedAt = Number(last.headers.get("X-Fetched-At"));
+      raw = await last.arrayBuffer();
+      console.error(`[GT] ${agency} feed: ${err.message}, serving the copy from ${new Date(fetchedAt).toISOString()}`);
+      ctx.waitUntil(cache.put(req, protoCopy(raw, CACHE_TTL, fetchedAt, true)));
+      return { raw, stale: staleAge(fetchedAt) };
+    }
+    const now = Date.now();
+    record(env, ctx, "gtfs", agency, raw);
+    ctx.waitUntil(cache.put(req, protoCopy(raw, CACHE_TTL, now)));
+    ctx.waitUntil(cache.put(lastReq, protoCopy(raw, STALE_MAX, now)));
+    ctx.waitUntil(noteUpstream(cache, agency, { timestamp: scanFeed(raw, () => true) }));
+    return { raw, stale: 0 };
+  });
+}
+
+// Decode every agency and fill the /api/gtfs and /api/alerts cache entries, the
+// delta snapshot, vehicle history and punctuality stats. Concurrent callers share
+// one decode. Returns the merged feed; throws like decodeFeeds.
+async function decodeAndCache(env, ctx, cache, agencies) {
+  return coalesce("decode", async () => {
+    const feed = await decodeFeeds(agencies, agency => getProto(env, ctx, cache, agency));
+    const { alerts, ...slim } = feed;
+    ctx.waitUntil(cache.put(new Request(CACHE_KEY), feedResp(slim, "MISS")));
+    ctx.waitUntil(cache.put(new Request(ALERTS_CACHE_KEY), alertsResp(feed, "MISS")));
+    ctx.waitUntil(putSnapshot(cache, slim));
+    recordHistory(env, ctx, feed);
+    recordStats(env, ctx, feed);
+    return feed;
+  });
+}
+
+// ── Upstream health ───────────────────────────────────────────────────────────
+// Each upstream call's outcome goes into one JSON record in this location's edge
+// cache: last success, the feed's header timestamp, and the errors of the last
+// HEALTH_WINDOW. Isolates read-modify-write it without locking, so a concurrent
+// update can be lost — it is a monitoring aid, not a ledger. Read by /api/health.
+
+async function noteUpstream(cache, source, { timestamp, error }) {
+  try {
+    const req = new Request(HEALTH_CACHE_KEY);
+    const hit = await cache.match(req);
+    const health = hit ? await hit.json() : {};
+    const now = Math.floor(Date.now() / 1000);
+    const s = health[source] ??= { lastSuccess: null, feedTimestamp: null, lastError: null, errors: [] };
+    s.errors = s.errors.filter(([t]) => t > now - HEALTH_WINDOW);
+    s.failing = !!error;
+    if (error) {
+      s.lastError = { at: now, status: error.status ?? null, message: error.message };
+      s.errors = [...s.errors, [now, error.status ?? 0]].slice(-HEALTH_ERRORS);
+    } else {
+      s.lastSuccess = now;
+      if (timestamp) s.feedTimestamp = timestamp;
+    }
+    await cache.put(req, new Response(JSON.stringify(health), {
+      headers: { "Content-Type": "application/json", "Cache-Control": `public, max-age=${HEALTH_TTL}` },
+    }));
+  } catch (err) {
+    console.error("[GT] health record:", err.message);
+  }
+}
+
+// One upstream's record → what /api/health reports. "failing" when its last call failed.
+// The overall status is "down" when every realtime feed is failing, "degraded" when any
+// upstream (Kern included) is.
+function healthOf(s, now) {
+  const byStatus = {};
+  for (const [t, status] of s?.errors || []) if (t > now - HEALTH_WINDOW) byStatus[status || "network"] = (byStatus[status || "network"] || 0) + 1;
+  const errors = Object.values(byStatus).reduce((a, b) => a + b, 0);
+  return {
+    status: !s ? "unknown" : s.failing ? "failing" : "ok",
+    lastSuccess: s?.lastSuccess ?? null,
+    sinceSuccess: s?.lastSuccess ? now - s.lastSuccess : null,
+    feedTimestamp: s?.feedTimestamp ?? null,
+    feedLag: s?.feedTimestamp ? now - s.feedTimestamp : null,
+    errors, errorsByStatus: byStatus,
+    lastError: s?.lastError ?? null,
+  };
+}
+
+// ── Recording and replay ──────────────────────────────────────────────────────
+// Recordings are raw upstream responses keyed by fetch time (see src/recordings.js).
+// Replay decodes them exactly like a live fetch, at the time the client asks for —
+// the page's play/pause/seek controls move that virtual clock, the worker keeps none.
+
+const REPLAY_MAX      = STALE_MAX;   // seconds — an older recording counts as missing (findRecording looks back ≤ 1 h)
+const REPLAY_GAP      = 2 * CACHE_TTL;   // seconds behind the clock before a recording is flagged stale
+const KERN_REPLAY_MAX = 300;         // seconds — Kern is only recorded while someone watches the stop
+
+// Where RECORD writes: the RECORDINGS bucket, or null
+function recorder(env) {
+  return env.RECORD === "1" && env.RECORDINGS ? r2Store(env.RECORDINGS) : null;
+}
+
+// Where REPLAY reads: a directory served at REPLAY_URL, else the RECORDINGS bucket.
+// Throws in replay mode without either; null when replay is off.
+function replayStore(env) {
+  if (env.REPLAY !== "1") return null;
+  if (env.REPLAY_URL) return httpStore(env.REPLAY_URL);
+  if (env.RECORDINGS) return r2Store(env.RECORDINGS);
+  throw Object.assign(new Error("REPLAY needs REPLAY_URL or the RECORDINGS bucket binding"), { status: 500 });
+}
+
+// Save one upstream response under the current time, in the background
+function record(env, ctx, kind, name, body) {
+  const store = recorder(env);
+  if (!store) return;
+  const key = recordingKey(kind, name, Math.floor(Date.now() / 1000));
+  ctx.waitUntil(store.put(key, body).catch(err => console.error(`[GT] record ${key}:`, err.message)));
+}
+
+// { from, to, agencies: { agency: { from, to } } } over every recorded agency, or null
+async function replayRange(store) {
+  const agencies = {};
+  for (const a of (await recordedNames(store, "gtfs")).filter(a => FEEDS[a])) {
+    const r = await recordingRange(store, "gtfs", a);
+    if (r) agencies[a] = r;
+  }
+  const ranges = Object.values(agencies);
+  if (!ranges.length) return null;
+  return { from: Math.min(...ranges.map(r => r.from)), to: Math.max(...ranges.map(r => r.to)), agencies };
+}
+
+// ?at= (unix seconds), defaulting to the end of the recording
+async function replayAt(store, url) {
+  const at = url.searchParams.get("at");
+  if (at && isFinite(at)) return Math.floor(Number(at));
+  const range = await replayRange(store);
+  if (!range) throw Object.assign(new Error("Nothing recorded yet"), { status: 404 });
+  return range.to;
+}
+
+// One agency's recording in effect at `at` → { raw, stale } like getProto
+async function replayProto(store, agency, at) {
+  const found = await findRecording(store, "gtfs", agency, at, REPLAY_MAX);
+  const raw   = found && await store.get(found.key);
+  if (!raw) throw Object.assign(new Error(`No ${FEEDS[agency].name} recording at ${new Date(at * 1000).toISOString()}`), { status: 404 });
+  return { raw, stale: at - found.t > REPLAY_GAP ? at - found.t : 0 };
+}
+
+// /api/gtfs and /api/alerts in replay mode. Nothing is written to the live cache
+// entries, history or stats; delta snapshots are shared, keyed by feed timestamp.
+async function replayFeedResp(store, cache, url, format, isAlerts) {
+  // Checked first: the agency becomes part of the recording key
+  const agency = url.searchParams.get("agency") || DEFAULT_AGENCY;
+  if (format === "pb" && !Object.hasOwn(FEEDS, agency))
+    throw Object.assign(new Error(`Unknown agency "${agency}"`), { status: 404 });
+
+  const at = await replayAt(store, url);
+  const headers = { "X-Replay-At": String(at), "Cache-Control": "no-store" };
+
+  if (format === "pb") {
+    const resp = protoResp(await replayProto(store, agency, at));
+    Object.entries(headers).forEach(([k, v]) => resp.headers.set(k, v));
+    return resp;
+  }
+
+  const agencies = (await recordedNames(store, "gtfs")).filter(a => FEEDS[a]);
+  if (!agencies.length) throw Object.assign(new Error("Nothing recorded yet"), { status: 404 });
+  const feed = await decodeFeeds(agencies, agency => replayProto(store, agency, at));
+  const { alerts, ...slim } = feed;
+  const resp = format === "delta" ? await deltaResp(cache, slim, url, "REPLAY")
+    : isAlerts ? alertsResp(feed, "REPLAY") : feedResp(slim, "REPLAY");
+  if (format === "delta") await putSnapshot(cache, slim);
+  Object.entries(headers).forEach(([k, v]) => resp.headers.set(k, v));
+  return resp;
+}
+
+// ── Scheduled departures ──────────────────────────────────────────────────────
+// /api/departures builds a stop's board from the static bundle deployed next to
+// the worker (stop-index, stop-times, calendar, static-lookup), then lays the
+// realtime TripUpdates on top. It works without the Kern API and for every agency,
+// and still answers — schedule only — when the realtime feed is down.
+
+const TIMEZONE = "Europe/Brussels";   // stop-times are minutes after local midnight
+const DEPARTURES_LIMIT  = 20;  const DEPARTURES_MAX_LIMIT  = 100;
+const DEPARTURES_WINDOW = 120; const DEPARTURES_MAX_WINDOW = 360;   // minutes ahead
+const DEPARTURES_LOOKBACK = 30;   // minutes — a trip this late may not have left yet
+const STATIC_CACHE_MAX = 64;      // parsed static files kept per isolate
+
+// Parsed static files, per isolate. They only change on deploy, which recycles isolates.
+const staticCache = new Map();
+
+async function loadStatic(env, origin, path) {
+  if (staticCache.has(path)) return staticCache.get(path);
+  const data = await fetchStatic(env, origin, path);
+  if (staticCache.size >= STATIC_CACHE_MAX) staticCache.delete(staticCache.keys().next().value);
+  staticCache.set(path, data);
+  return data;
+}
+
+// Uncached read, for passes over many per-line files that would flush staticCache
+async function fetchStatic(env, origin, path) {
+  const resp = await env.ASSETS.fetch(new Request(new URL(path, origin)));
+  return resp.ok ? resp.json() : null;
+}
+
+// calendar.json's base date as an epoch day number, computed once per parsed file
+function calendarBaseDay(cal) {
+  if (cal && !cal.baseDay)
+    cal.baseDay = Math.round(Date.UTC(+cal.base.slice(0, 4), +cal.base.slice(4, 6) - 1, +cal.base.slice(6, 8)) / 86400000);
+  return cal;
+}
+
+const clockFmt = new Intl.DateTimeFormat("en-GB", {
+  timeZone: TIMEZONE, hourCycle: "h23",
+  year: "numeric", month: "2-digit", day: "2-digit", hour: "2-digit", minute: "2-digit", second: "2-digit",
+});
+
+// Local wall clock at unix time t: { day (days since 1970-01-01), mins (since local midnight) }
+function localClock(t) {
+  const p = Object.fromEntries(clockFmt.formatToParts(new Date(t * 1000)).map(x => [x.type, x.value]));
+  return {
+    day:  Math.round(Date.UTC(+p.year, +p.month - 1, +p.day) / 86400000),
+    mins: +p.hour * 60 + +p.minute + +p.second / 60,
+  };
+}
+
+// Same rules as the frontend's serviceRunsOn, on an epoch day number
+function serviceRunsOn(cal, svcId, day) {
+  const s = cal.services[svcId]; if (!s) return false;
+  const d = day - cal.baseDay;
+  if (s.del?.includes(d)) return false;
+  if (s.add?.includes(d)) return true;
+  if (!s.d || d < s.s || d > s.e) return false;
+  return s.d[(day + 3) % 7] === "1";   // 1970-01-01 was a Thursday; mask is Mon..Sun
+}
+
+// The bundle's accessibility flags (1 yes, 2 no, 0 / absent unknown) → true | false | null
+const a11yFlag = v => v === 1 ? true : v === 2 ? false : null;
+
+// Minutes of stop i, interpolated between the nearest timepoints when it has none
+function stopMins(seq, i) {
+  if (seq[i].a != null) return seq[i].a;
+  let j = i - 1, k = i + 1;
+  while (j >= 0 && seq[j].a == null) j--;
+  while (k < seq.length && seq[k].a == null) k++;
+  if (j < 0 || k >= seq.length) return null;
+  return seq[j].a + (seq[k].a - seq[j].a) * (i - j) / (k - j);
+}
+
+/**
+ * Departures from one stop between `window` minutes ahead and DEPARTURES_LOOKBACK
+ * behind (late trips only), sorted by expected time.
+ *
+ * @param {string} agency
+ * @param {string} stopId   raw (unprefixed) stop id
+ * @param {Object|null} rt  extractStopUpdates result, or null without realtime
+ * @param {Object} opts     { limit, window, now } — now in unix seconds (the replay clock),
+ *                          defaulting to the current time
+ * @returns {Promise<Object|null>}  null when the stop is unknown
+ */
+async function buildDepartures(env, origin, agency, stopId, rt, { limit, window, now = Math.floor(Date.now() / 1000) }) {
+  const base = agencyBase(agency);
+  const [index, stops, sl, cal] = await Promise.all(
+    ["stop-index.json", "stops.json", "static-lookup.json", "calendar.json"].map(f => loadStatic(env, origin, base + f))
+  );
+  const lineCodes = index?.[stopId];
+  if (!lineCodes) return null;
+  calendarBaseDay(cal);
+
+  const { day, mins: nowMins } = localClock(now);
+  const p = id => prefixId(agency, id);
+  const out = [];
+
+  await Promise.all(lineCodes.map(async lineCode => {
+    const file = await loadStatic(env, origin, `${base}stop-times/${lineFileName(lineCode)}.json`);
+    if (!file) return;
+    const { _svc = {}, ...entries } = file;
+    const line = sl?.lines?.[lineCode] || {};
+
+    for (const [entryKey, seq] of Object.entries(entries)) {
+      const [key, st] = splitEntryKey(agency, entryKey);
+      for (let i = 0; i < seq.length; i++) {
+        if (seq[i].s !== stopId) continue;
+        const m = stopMins(seq, i);
+        if (m == null) continue;
+
+        // A service day's times run past 24:00, so yesterday's late trips and
+        // (near midnight) tomorrow's early ones can fall inside the window too
+        for (const offset of [-1, 0, 1]) {
+          const rel = m + offset * 1440 - nowMins;
+          if (rel < -DEPARTURES_LOOKBACK || rel > window) continue;
+          const svc = _svc[entryKey];
+          if (cal && svc && !svc.some(id => serviceRunsOn(cal, id, day + offset))) continue;
+
+          const variant = sl?.variants?.[key]?.find(v => (v.st || 0) === st
+            && (!cal || v.svc.some(id => serviceRunsOn(cal, id, day + offset))));
+          const trip = { ...sl?.trips?.[key], ...variant };
+          const scheduled = Math.round(now + rel * 60);
+          const r = rt?.trips.get(key);
+
+          let expected = null, delay = null;
+          if (r) {
+            const ev = r.stop;
+            const time = ev?.departureTime ?? ev?.arrivalTime ?? null;
+            delay = ev?.departureDelay ?? ev?.arrivalDelay ?? r.delay;
+            expected = time ?? (delay != null ? scheduled + delay : null);
+            if (time != null) delay = time - scheduled;
+          }
+          if ((expected ?? scheduled) < now - 60) continue;
+
+          out.push({
+            tripId:    p(key),
+            lineCode:  p(lineCode),
+            line:      line.name ?? lineCode,
+            color:     line.color || null,
+            textColor: line.textColor || null,
+            headsign:  trip.headsign || null,
+            scheduled, expected, delay,
+            realtime:  !!r,
+            canceled:  !!r?.canceled,
+            skipped:   !!r?.stop?.skipped,
+            terminates: i === seq.length - 1,
+            vehicleId: r?.vehicleId ? p(r.vehicleId) : null,
+            wheelchair: a11yFlag(trip.wa),
+            bikes:     a11yFlag(trip.ba),
+          });
+        }
+      }
+    }
+  }));
+
+  out.sort((a, b) => (a.expected ?? a.scheduled) - (b.expected ?? b.scheduled));
+  const stop = stops?.[stopId];
+  return {
+    stopId:    p(stopId),
+    name:      stop?.n ?? null,
+    platform:  stop?.c ?? null,
+    wheelchair: a11yFlag(stop?.w),
+    timestamp: rt?.timestamp ?? null,
+    realtime:  !!rt,
+    departures: out.slice(0, limit),
+  };
+}
+
+// ── Trip matching and anomalies ───────────────────────────────────────────────
+// /api/anomalies checks each agency's live feed against its static bundle:
+//   inferred   vehicles with no usable trip — no tripId, one the bundle doesn't know,
+//              or no TripUpdate — get the running trip whose path and timetable fit
+//              their position best ("match"), or just a delay estimated from where
+//              they are on their known trip ("position")
+//   anomalies  vehicles more than OFF_SHAPE_M off their trip's shape, and vehicles
+//              whose own position timestamp lags the feed by STALE_POSITION_S
+//   ghosts     trips that should be running on a line with realtime data but have
+//              no vehicle (canceled trips excepted)
+// It reads a shapes/ and a stop-times/ file per active line, so it runs on its own
+// route, edge-cached for ANOMALIES_TTL, rather than on every /api/gtfs decode.
+
+const MATCH_MAX_M      = 400;            // max distance from a trip's path to match it
+const MATCH_STOP_M     = 500;            // vehicles without a route: lines serving stops this close
+const MATCH_DELAY      = [-600, 2700];   // plausible delay range for a match (s)
+const MATCH_M_PER_MIN  = 40;             // match score: a minute of |delay| weighs as much as this many metres
+const MATCH_MAX_VEHICLES = 300;          // unmatched vehicles tried per agency and request
+const OFF_SHAPE_M      = 300;
+const STALE_POSITION_S = 180;
+const GHOST_GRACE_MIN  = 5;              // minutes past its (delayed) first departure before a trip is missing
+const ANOMALIES_TTL    = 60;             // seconds
+const ANOMALIES_CACHE_KEY = "https://geotransport-cache.internal/api/anomalies";
+
+const M_PER_DEG = 111320;
+const GRID_DEG  = 0.01;                  // stop grid cell, ~1.1 × 0.7 km in Belgium
+
+// Distance (m) from a point to a polyline of [lat, lng], plus the closest segment i and
+// the fraction f along it. Equirectangular around the point — fine at city scale.
+function projectOnPath(path, lat, lng) {
+  const kx = M_PER_DEG * Math.cos(lat * Math.PI / 180);
+  const xy = pt => [(pt[1] - lng) * kx, (pt[0] - lat) * M_PER_DEG];
+  if (path.length === 1) return { d: Math.hypot(...xy(path[0])), i: 0, f: 0 };
+  let best = { d: Infinity, i: 0, f: 0 };
+  for (let i = 0; i < path.length - 1; i++) {
+    const [ax, ay] = xy(path[i]), [bx, by] = xy(path[i + 1]);
+    const dx = bx - ax, dy = by - ay, len2 = dx * dx + dy * dy;
+    const f = len2 ? Math.min(1, Math.max(0, -(ax * dx + ay * dy) / len2)) : 0;
+    const d = Math.hypot(ax + f * dx, ay + f * dy);
+    if (d < best.d) best = { d, i, f };
+  }
+  return best;
+}
+
+// Stops of a trip with coordinates and (interpolated) minutes: { path, mins }
+function timedPath(seq, stops) {
+  const path = [], mins = [];
+  for (let i = 0; i < seq.length; i++) {
+    const st = stops[seq[i].s], m = stopMins(seq, i);
+    if (!st || m == null) continue;
+    path.push([st.a, st.o]); mins.push(m);
+  }
+  return { path, mins };
+}
+
+// Scheduled minute at the point of a timed path closest to (lat, lng), with that distance
+function scheduledAt(tp, lat, lng) {
+  if (!tp.path.length) return null;
+  const { d, i, f } = projectOnPath(tp.path, lat, lng);
+  const m = tp.mins[i] + (i + 1 < tp.mins.length ? (tp.mins[i + 1] - tp.mins[i]) * f : 0);
+  return { d, m };
+}
+
+// stops.json bucketed into GRID_DEG cells, built once per parsed file
+const stopGrids = new WeakMap();
+function stopsNear(stops, lat, lng, radius) {
+  let grid = stopGrids.get(stops);
+  if (!grid) {
+    grid = new Map();
+    for (const [id, s] of Object.entries(stops)) {
+      const k = `${Math.floor(s.a / GRID_DEG)},${Math.floor(s.o / GRID_DEG)}`;
+      if (!grid.has(k)) grid.set(k, []);
+      grid.get(k).push(id);
+    }
+    stopGrids.set(stops, grid);
+  }
+  const out = [], gy = Math.floor(lat / GRID_DEG), gx = Math.floor(lng / GRID_DEG);
+  const kx = M_PER_DEG * Math.cos(lat * Math.PI / 180);
+  for (let y = gy - 1; y <= gy + 1; y++) for (let x = gx - 1; x <= gx + 1; x++) {
+    for (const id of grid.get(`${y},${x}`) || []) {
+      const s = stops[id];
+      if (Math.hypot((s.o - lng) * kx, (s.a - lat) * M_PER_DEG) <= radius) out.push(id);
+    }
+  }
+  return out;
+}
+
+/**
+ * Stop-times entries of one line running around now on their service day.
+ * `lead`/`lag` widen the window (minutes) before the first and after the last stop.
+ *
+ * @returns {Array<Object>}  { key, st, seq, offset, first, last, rel } — rel is now in
+ *                           minutes of that service day
+ */
+function activeEntries(agency, file, cal, day, nowMins, lead, lag) {
+  const { _svc = {}, ...entries } = file;
+  const out = [];
+  for (const [entryKey, seq] of Object.entries(entries)) {
+    const first = stopMins(seq, 0), last = stopMins(seq, seq.length - 1);
+    if (first == null || last == null) continue;
+    const [key, st] = splitEntryKey(agency, entryKey);
+    for (const offset of [-1, 0]) {
+      const rel = nowMins - offset * 1440;
+      if (rel < first - lead || rel > last + lag) continue;
+      const svc = _svc[entryKey];
+      if (cal && svc && !svc.some(id => serviceRunsOn(cal, id, day + offset))) continue;
+      out.push({ key, st, seq, offset, first, last, rel });
+    }
+  }
+  return out;
+}
+
+// Static trip of an entry: trips[key] with its service-day variant applied
+function entryTrip(sl, cal, day, e) {
+  const variant = sl.variants?.[e.key]?.find(v => (v.st || 0) === e.st
+    && (!cal || v.svc.some(id => serviceRunsOn(cal, id, day + e.offset))));
+  return { ...sl.trips?.[e.key], ...variant };
+}
+
+/**
+ * Inferred trips, anomalies and ghost trips for one agency (ids prefixed).
+ *
+ * @param {ArrayBuffer} raw  the agency's GTFS-RT protobuf
+ * @returns {Promise<Object|null>}  null when the agency has no static bundle
+ */
+async function buildAnomalies(env, origin, agency, raw) {
+  const base = agencyBase(agency);
+  const [sl, cal, stops, index] = await Promise.all(
+    ["static-lookup.json", "calendar.json", "stops.json", "stop-index.json"].map(f => loadStatic(env, origin, base + f))
+  );
+  if (!sl?.trips || !stops) return null;
+  calendarBaseDay(cal);
+
+  const feed = extractFeed(raw), tus = extractTripUpdates(raw);
+  const now = Math.floor(Date.now() / 1000);
+  const { day, mins: nowMins } = localClock(now);
+  const p = id => prefixId(agency, id);
+  const keyOf = id => tripKeyOf(agency, id);
+  const known = key => !!(sl.trips[key] || sl.variants?.[key]);
+
+  // Per-line files and their running entries, read once per request. The window is the
+  // widest any check below needs; each narrows it itself.
+  const lineFiles = new Map(), lineRuns = new Map();
+  const lineFile = (lineCode, dir) => {
+    const path = `${base}${dir}/${lineFileName(lineCode)}.json`;
+    if (!lineFiles.has(path)) lineFiles.set(path, fetchStatic(env, origin, path).catch(() => null));
+    return lineFiles.get(path);
+  };
+  const running = async lineCode => {
+    if (!lineRuns.has(lineCode)) {
+      const times = await lineFile(lineCode, "stop-times");
+      lineRuns.set(lineCode, times ? activeEntries(agency, times, cal, day, nowMins, 60, MATCH_DELAY[1] / 60) : []);
+    }
+    return lineRuns.get(lineCode);
+  };
+  const pathOf = e => e.tp ??= timedPath(e.seq, stops);
+
+  const canceled = new Set(feed.canceled.filter(c => !c.skipped).map(c => keyOf(c.tripId)));
+  const tuByKey  = new Map([...tus].map(([id, tu]) => [keyOf(id), tu]));
+  const claimed  = new Set();
+  const inferred = [], anomalies = [], unmatched = [];
+  const activeLines = new Set();
+
+  for (const v of feed.vehicles) if (v.tripId && known(keyOf(v.tripId))) claimed.add(keyOf(v.tripId));
+  for (const [id, tu] of tus) if (known(keyOf(id))) activeLines.add(lineCodeOf(agency, id, tu.routeId));
+
+  for (const v of feed.vehicles) {
+    const key = v.tripId ? keyOf(v.tripId) : null;
+    const lineCode = key && known(key) ? lineCodeOf(agency, v.tripId, v.routeId) : null;
+    const ids = { vehicleId: p(v.vehicleId), tripId: v.tripId ? p(v.tripId) : null, lineCode: lineCode ? p(lineCode) : null };
+
+    if (v.timestamp && feed.timestamp - v.timestamp > STALE_POSITION_S)
+      anomalies.push({ type: "stale", ...ids, age: feed.timestamp - v.timestamp });
+    if (!lineCode) { unmatched.push(v); continue; }
+    activeLines.add(lineCode);
+
+    const [shapes, entries] = await Promise.all([lineFile(lineCode, "shapes"), running(lineCode)]);
+    const entry = entries.find(e => e.key === key);
+    const trip  = entry ? entryTrip(sl, cal, day, entry) : sl.trips[key] || {};
+    const shape = trip.shapeId ? shapes?.[trip.shapeId] : null;
+    if (shape?.length) {
+      const d = projectOnPath(shape, v.lat, v.lng).d;
+      if (d > OFF_SHAPE_M) anomalies.push({ type: "off-shape", ...ids, distance: Math.round(d) });
+    }
+    if (v.delay == null && entry) {
+      const at = scheduledAt(pathOf(entry), v.lat, v.lng);
+      if (at) inferred.push({ ...ids, delay: Math.round((entry.rel - at.m) * 60), distance: Math.round(at.d), method: "position" });
+    }
+  }
+
+  // Vehicles without a known trip: best-scoring unclaimed running trip on a candidate line
+  for (const v of unmatched.slice(0, MATCH_MAX_VEHICLES)) {
+    const lines = new Set();
+    const fromRoute = v.routeId ? lineCodeOf(agency, "", v.routeId) : null;
+    if (fromRoute && sl.lines?.[fromRoute]) lines.add(fromRoute);
+    else for (const s of stopsNear(stops, v.lat, v.lng, MATCH_STOP_M)) for (const lc of index?.[s] || []) lines.add(lc);
+
+    let best = null;
+    for (const lineCode of lines) {
+      const [shapes, entries] = await Promise.all([lineFile(lineCode, "shapes"), running(lineCode)]);
+      for (const e of entries) {
+        if (claimed.has(e.key) || canceled.has(e.key)) continue;
+        const at = scheduledAt(pathOf(e), v.lat, v.lng);
+        if (!at) continue;
+        const shape = shapes?.[entryTrip(sl, cal, day, e).shapeId];
+        const d = shape?.length ? projectOnPath(shape, v.lat, v.lng).d : at.d;
+        const delay = Math.round((e.rel - at.m) * 60);
+        if (d > MATCH_MAX_M || delay < MATCH_DELAY[0] || delay > MATCH_DELAY[1]) continue;
+        const score = d + Math.abs(delay) / 60 * MATCH_M_PER_MIN;
+        if (!best || score < best.score) best = { score, e, lineCode, d, delay };
+      }
+    }
+    if (!best) continue;
+    claimed.add(best.e.key);
+    activeLines.add(best.lineCode);
+    inferred.push({
+      vehicleId: p(v.vehicleId), tripId: p(best.e.key), lineCode: p(best.lineCode),
+      delay: best.delay, distance: Math.round(best.d), method: "match",
+    });
+  }
+
+  // Ghosts: scheduled now, shifted by the TripUpdate delay when there is one, but no vehicle
+  const ghosts = [], seen = new Set();
+  for (const lineCode of activeLines) {
+    for (const e of await running(lineCode)) {
+      if (claimed.has(e.key) || canceled.has(e.key) || seen.has(`${e.key}@${e.offset}`)) continue;
+      const tu = tuByKey.get(e.key), shift = (tu?.delay ?? 0) / 60;
+      if (e.rel < e.first + shift + GHOST_GRACE_MIN || e.rel > e.last + shift) continue;
+      seen.add(`${e.key}@${e.offset}`);
+      ghosts.push({
+        tripId:   p(e.key),
+        lineCode: p(lineCode),
+        headsign: entryTrip(sl, cal, day, e).headsign || null,
+        start:    Math.round(now + (e.first - e.rel) * 60),
+        end:      Math.round(now + (e.last - e.rel) * 60),
+        delay:    tu?.delay ?? null,
+        realtime: !!tu,
+      });
+    }
+  }
+  ghosts.sort((a, b) => a.start - b.start);
+
+  return { timestamp: feed.timestamp, inferred, anomalies, ghosts };
+}
+
+// ── Spatial queries ───────────────────────────────────────────────────────────
+// /api/stops and /api/vehicles answer for a bounding box. Stops come from the
+// stop-tiles/ grid the build script writes next to stops.json — one file per
+// web-mercator tile at STOP_TILE_Z, listed in stop-tiles/index.json — so a query
+// only reads the tiles it overlaps.
+
+const STOP_TILE_Z     = 12;     // must match scripts/build-static-lookup.js
+const STOPS_FULL_ZOOM = 14;     // from this map zoom on every stop is returned
+const STOPS_THIN_PX   = 12;     // below it, at most one stop per STOPS_THIN_PX screen pixels
+const STOPS_MAX_TILES = 64;     // bigger boxes are refused
+const STOPS_TTL       = 3600;   // seconds — static data, only changes on deploy
+
+// "west,south,east,north" → [w, s, e, n], or null when malformed
+function parseBbox(param) {
+  const b = (param || "").split(",").map(Number);
+  if (b.length !== 4 || !b.every(Number.isFinite)) return null;
+  const [w, s, e, n] = b;
+  return w < e && s < n && w >= -180 && e <= 180 && s >= -90 && n <= 90 ? b : null;
+}
+
+function inBbox([w, s, e, n], lat, lng) {
+  return lat >= s && lat <= n && lng >= w && lng <= e;
+}
+
+// Web-mercator pixel coordinates at zoom z (the tile is pixel / 256)
+function mercatorPx(lat, lng, z) {
+  const scale = 256 * 2 ** z, r = lat * Math.PI / 180;
+  return [(lng + 180) / 360 * scale, (1 - Math.log(Math.tan(r) + 1 / Math.cos(r)) / Math.PI) / 2 * scale];
+}
+
+/**
+ * Every agency's stops inside bbox, keyed by (prefixed) stop id in the stops.json
+ * shape, parent station ids prefixed too. Below STOPS_FULL_ZOOM only the first stop
+ * per STOPS_THIN_PX-pixel cell is kept. Returns null when no agency has stop tiles
+ * deployed.
+ */
+async function stopsInBbox(env, origin, bbox, zoom) {
+  const [w, s, e, n] = bbox;
+  const [x0, y0] = mercatorPx(n, w, STOP_TILE_Z).map(p => Math.floor(p / 256));
+  const [x1, y1] = mercatorPx(s, e, STOP_TILE_Z).map(p => Math.floor(p / 256));
+  if ((x1 - x0 + 1) * (y1 - y0 + 1) > STOPS_MAX_TILES)
+    throw Object.assign(new Error(`bbox spans more than ${STOPS_MAX_TILES} stop tiles`), { status: 400 });
+
+  const out = {}, taken = new Set();
+  let deployed = false;
+  for (const agency of Object.keys(FEEDS)) {
+    const dir   = `${agencyBase(agency)}stop-tiles/`;
+    const index = await loadStatic(env, origin, `${dir}index.json`);
+    if (!index) continue;
+    deployed = true;
+
+    const have = new Set(index.tiles), keys = [];
+    for (let x = x0; x <= x1; x++) for (let y = y0; y <= y1; y++) if (have.has(`${x}_${y}`)) keys.push(`${x}_${y}`);
+    // Uncached: tiles would flush the departures' files out of staticCache, and the
+    // /api/stops response is edge-cached anyway
+    const tiles = await Promise.all(keys.map(k => fetchStatic(env, origin, `${dir}${k}.json`)));
+    for (const tile of tiles) {
+      for (const [id, st] of Object.entries(tile || {})) {
+        if (!inBbox(bbox, st.a, st.o)) continue;
+        if (zoom < STOPS_FULL_ZOOM) {
+          const cell = mercatorPx(st.a, st.o, zoom).map(p => Math.floor(p / STOPS_THIN_PX)).join(":");
+          if (taken.has(cell)) continue;
+          taken.add(cell);
+        }
+        out[prefixId(agency, id)] = st.p ? { ...st, p: prefixId(agency, st.p) } : st;
+      }
+    }
+  }
+  return deployed ? out : null;
+}
+
+// ── Output formats ────────────────────────────────────────────────────────────
+// /api/gtfs?format=pb hands out the cached upstream protobuf as-is (the API key only
+// ever travels upstream, in a request header). format=delta is for clients on slow
+// links: vehicles become positional arrays (DELTA_FIELDS) and only those that moved
+// or changed delay since the client's last feed timestamp are sent. Every freshly
+// decoded feed leaves a snapshot in the edge cache to diff against; when the client's
+// timestamp has no snapshot (expired, or another colo) the full set is sent instead.
+
+const FEED_FORMATS   = ["json", "pb", "delta"];
+const DELTA_FIELDS   = [
+  "vehicleId", "lat", "lng", "bearing", "delay", "directionId", "tripId", "routeId", "agency",
+  "timestamp", "speed", "stopId", "stopSequence", "status", "occupancy", "congestion",
+];
+const SNAPSHOT_TTL   = 600;   // seconds a feed snapshot stays available as a delta base
+const SNAPSHOT_BASE  = "https://geotransport-cache.internal/snapshot";   // + /<feed timestamp>
+
+function requestedFormat(url, request) {
+  const f = url.searchParams.get("format");
+  if (f) return f;
+  return (request.headers.get("Accept") || "").includes("application/x-protobuf") ? "pb" : "json";
+}
+
+function protoResp({ raw, stale }) {
+  return new Response(raw, {
+    headers: {
+      "Content-Type": "application/x-protobuf",
+      "Cache-Control": `public, max-age=${CACHE_TTL}`,
+      ...CORS,
+      ...(stale && { "X-Feed-Age": String(stale) }),
+    },
+  });
+}
+
+function compactVehicle(v) {
+  const r5 = x => Math.round(x * 1e5) / 1e5;
+  return [v.vehicleId, r5(v.lat), r5(v.lng), v.bearing == null ? null : Math.round(v.bearing),
+    v.delay, v.directionId, v.tripId, v.routeId, v.agency,
+    v.timestamp, v.speed ?? null, v.stopId ?? null, v.stopSequence ?? null, v.status ?? null, v.occupancy ?? null, v.congestion ?? null];
+}
+
+// vehicleId → compact row (as a string, for cheap comparison)
+function snapshotOf(feed) {
+  const snap = {};
+  for (const v of feed.vehicles) snap[v.vehicleId] = JSON.stringify(compactVehicle(v));
+  return snap;
+}
+
+function putSnapshot(cache, feed) {
+  return cache.put(new Request(`${SNAPSHOT_BASE}/${feed.timestamp}`), new Response(JSON.stringify(snapshotOf(feed)), {
+    headers: { "Content-Type": "application/json", "Cache-Control": `public, max-age=${SNAPSHOT_TTL}` },
+  }));
+}
+
+// Delta of feed against snapshot prev (taken at `since`); a full set when prev is null
+function buildDelta(feed, cur, prev, since) {
+  const vehicles = [], removed = [];
+  for (const [id, row] of Object.entries(cur)) if (!prev || prev[id] !== row) vehicles.push(JSON.parse(row));
+  if (prev) for (const id of Object.keys(prev)) if (!(id in cur)) removed.push(id);
+
+  return {
+    format: "delta",
+    timestamp: feed.timestamp,
+    since: prev ? since : 0,
+    full: !prev,
+    fields: DELTA_FIELDS,
+    vehicles,
+    removed,
+    canceled: feed.canceled,
+    sources: feed.sources,
+    counts: feed.counts,
+  };
+}
+
+async function deltaResp(cache, feed, url, cacheStatus) {
+  const since = parseInt(url.searchParams.get("since"), 10) || 0;
+  const prevResp = since ? await cache.match(new Request(`${SNAPSHOT_BASE}/${since}`)) : null;
+  const prev = prevResp ? await prevResp.json() : null;
+  return jsonResp(buildDelta(feed, snapshotOf(feed), prev, since), 200, { "X-Cache": cacheStatus, ...staleHeaders(feed) });
+}
+
+// ── Live push (Durable Object) ────────────────────────────────────────────────
+// /api/stream upgrades to a WebSocket held by the single FeedHub object. While at
+// least one client is connected the hub polls upstream every CACHE_TTL seconds — once,
+// however many tabs are open — and broadcasts the delta against its previous poll
+// (the same payload as /api/gtfs?format=delta) as { type: "feed", ... }. Alerts are
+// pushed as { type: "alerts", alerts } only when they change. A new client, or one
+// that sends { type: "resync" }, gets the full set. Sockets use the hibernation API,
+// so an idle hub costs nothing; polling stops with the last disconnect.
+
+export class FeedHub extends DurableObject {
+  // The last broadcast state lives in SQLite, not memory: a hibernated hub is evicted
+  // between alarms. Only rows that changed are written on each poll.
+  constructor(ctx, env) {
+    super(ctx, env);
+    this.sql = ctx.storage.sql;
+    this.sql.exec("CREATE TABLE IF NOT EXISTS snap (vehicle TEXT PRIMARY KEY, row TEXT NOT NULL) WITHOUT ROWID");
+    this.sql.exec("CREATE TABLE IF NOT EXISTS meta (k TEXT PRIMARY KEY, v TEXT NOT NULL) WITHOUT ROWID");
+  }
+
+  // { feed: { timestamp, canceled, sources, counts }, snapshot, alerts } or null before the first poll
+  loadState() {
+    const meta = Object.fromEntries(this.sql.exec("SELECT k, v FROM meta").toArray().map(r => [r.k, r.v]));
+    if (!meta.feed) return null;
+    const snapshot = {};
+    for (const r of this.sql.exec("SELECT vehicle, row FROM snap")) snapshot[r.vehicle] = r.row;
+    return { feed: JSON.parse(meta.feed), snapshot, alerts: meta.alerts ?? null };
+  }
+
+  async fetch(request) {
+    const [client, server] = Object.values(new WebSocketPair());
+    this.ctx.acceptWebSocket(server);
+    const state = this.loadState();
+    if (state) this.sendFull(server, state);
+    if ((await this.ctx.storage.getAlarm()) === null) await this.ctx.storage.setAlarm(Date.now());
+    return new Response(null, { status: 101, webSocket: client });
+  }
+
+  sendFull(ws, { feed, snapshot, alerts }) {
+    try {
+      ws.send(JSON.stringify({ type: "feed", ...buildDelta(feed, snapshot, null, 0) }));
+      if (alerts) ws.send(`{"type":"alerts","alerts":${alerts}}`);
+    } catch (_) { /* socket already closing */ }
+  }
+
+  broadcast(msg) {
+    for (const ws of this.ctx.getWebSockets()) {
+      try { ws.send(msg); } catch (_) { /* closed mid-send */ }
+    }
+  }
+
+  async poll() {
+    const agencies = enabledAgencies(this.env);
+    if (!agencies.length) return this.broadcast(JSON.stringify({ type: "error", error: "No realtime feed configured" }));
+
+    // Through getProto, so the hub shares the edge copy and its stale fallback with HTTP clients
+    const cache = caches.default;
+    let feed;
+    try { feed = await decodeFeeds(agencies, agency => getProto(this.env, this.ctx, cache, agency)); }
+    catch (err) { return this.broadcast(JSON.stringify({ type: "error", error: err.message })); }
+
+    const prev = this.loadState();
+    if (prev && feed.timestamp === prev.feed.timestamp) return;   // upstream hasn't moved
+
+    const { alerts, vehicles, ...rest } = feed;
+    const snapshot = snapshotOf(feed);
+    const delta = buildDelta(rest, snapshot, prev?.snapshot ?? null, prev?.feed.timestamp);
+    this.broadcast(JSON.stringify({ type: "feed", ...delta }));
+
+    const alertsJson = JSON.stringify(alerts);
+    if (alertsJson !== prev?.alerts) this.broadcast(`{"type":"alerts","alerts":${alertsJson}}`);
+
+    this.ctx.storage.transactionSync(() => {
+      if (delta.full) this.sql.exec("DELETE FROM snap");
+      for (const id of delta.removed) this.sql.exec("DELETE FROM snap WHERE vehicle = ?", id);
+      for (const row of delta.vehicles) this.sql.exec("INSERT OR REPLACE INTO snap VALUES (?, ?)", row[0], snapshot[row[0]]);
+      const meta = { timestamp: rest.timestamp, canceled: rest.canceled, sources: rest.sources, counts: rest.counts };
+      this.sql.exec("INSERT OR REPLACE INTO meta VALUES ('feed', ?), ('alerts', ?)", JSON.stringify(meta), alertsJson);
+    });
+
+    const stub = historyStub(this.env);
+    if (stub) await stub.record(feed.timestamp, vehicles).catch(err => console.error("[GT] history record:", err.message));
+    const stats = statsStub(this.env);
+    if (stats) await stats.record(feed.timestamp, vehicles, rest.canceled).catch(err => console.error("[GT] stats record:", err.message));
+  }
+
+  async alarm() {
+    if (!this.ctx.getWebSockets().length) {
+      // Last client gone: stop polling and forget the state, it would be stale on reconnect
+      this.sql.exec("DELETE FROM snap"); this.sql.exec("DELETE FROM meta");
+      return;
+    }
+    await this.poll();
+    await this.ctx.storage.setAlarm(Date.now() + CACHE_TTL * 1000);
+  }
+
+  webSocketMessage(ws, message) {
+    let msg = null;
+    try { msg = JSON.parse(message); } catch (_) { return; }
+    const state = msg?.type === "resync" ? this.loadState() : null;
+    if (state) this.sendFull(ws, state);
+  }
+
+  webSocketClose(ws, code, reason) {
+    try { ws.close(code, reason); } catch (_) { /* already closed */ }
+  }
+}
+
+// ── Vehicle history (Durable Object) ──────────────────────────────────────────
+// One global instance. Positions are keyed by (vehicle, feed timestamp), so the
+// same feed recorded twice (two colos missing the cache at once) is a no-op.
+
+const HISTORY_HOURS   = 3;     // default retention, override with env.HISTORY_HOURS
+const HISTORY_PRUNE_S = 600;   // alarm interval for dropping expired rows
+
+export class VehicleHistory extends DurableObject {
+  constructor(ctx, env) {
+    super(ctx, env);
+    this.sql   = ctx.storage.sql;
+    this.hours = Number(env.HISTORY_HOURS) || HISTORY_HOURS;
+    this.sql.exec(`CREATE TABLE IF NOT EXISTS pos (
+      vehicle TEXT NOT NULL, t INTEGER NOT NULL,
+      lat REAL NOT NULL, lng REAL NOT NULL, bearing REAL, delay INTEGER, trip TEXT,
+      PRIMARY KEY (vehicle, t)
+    ) WITHOUT ROWID`);
+    this.sql.exec("CREATE INDEX IF NOT EXISTS pos_t ON pos (t)");
+  }
+
+  async record(timestamp, vehicles) {
+    if (!timestamp || !vehicles?.length) return 0;
+    const last = this.sql.exec("SELECT MAX(t) AS t FROM pos").one().t;
+    if (last !== null && timestamp <= last) return 0;
+
+    this.ctx.storage.transactionSync(() => {
+      for (const v of vehicles) {
+        if (!v.vehicleId) continue;
+        this.sql.exec(
+          "INSERT OR REPLACE INTO pos VALUES (?, ?, ?, ?, ?, ?, ?)",
+          v.vehicleId, timestamp,
+          Math.round(v.lat * 1e5) / 1e5, Math.round(v.lng * 1e5) / 1e5,
+          v.bearing ?? null, v.delay ?? null, v.tripId || null
+        );
+      }
+    });
+
+    if ((await this.ctx.storage.getAlarm()) === null)
+      await this.ctx.storage.setAlarm(Date.now() + HISTORY_PRUNE_S * 1000);
+    return vehicles.length;
+  }
+
+  history(vehicleId, since) {
+    return this.sql.exec(
+      "SELECT t, lat, lng, bearing, delay, trip AS tripId FROM pos WHERE vehicle = ? AND t >= ? ORDER BY t",
+      vehicleId, since
+    ).toArray();
+  }
+
+  async alarm() {
+    const cutoff = Math.floor(Date.now() / 1000) - this.hours * 3600;
+    this.sql.exec("DELETE FROM pos WHERE t < ?", cutoff);
+    if (this.sql.exec("SELECT COUNT(*) AS n FROM pos").one().n > 0)
+      await this.ctx.storage.setAlarm(Date.now() + HISTORY_PRUNE_S * 1000);
+  }
+}
+
+function historyStub(env) {
+  return env.HISTORY ? env.HISTORY.get(env.HISTORY.idFromName("global")) : null;
+}
+
+// Fire-and-forget: history is best-effort and must never break /api/gtfs.
+function recordHistory(env, ctx, feed) {
+  const stub = historyStub(env);
+  if (!stub) return;
+  ctx.waitUntil(
+    stub.record(feed.timestamp, feed.vehicles).catch(err => console.error("[GT] history record:", err.message))
+  );
+}
+
+// ── Punctuality statistics (Durable Object) ───────────────────────────────────
+// One global instance. Each recorded feed adds its vehicles' delays to an hourly
+// bucket per line and direction (observation count, delay sum, histogram over
+// STATS_BINS). Trips are tracked one by one until they drop out of the feed, then
+// counted — and counted as canceled if they ever were — in the hour first seen.
+
+const STATS_DAYS      = 90;     // default retention, override with env.STATS_DAYS
+const STATS_ROLLUP_S  = 600;    // alarm interval for folding finished trips and pruning
+const STATS_TRIP_IDLE = 7200;   // seconds out of the feed before a trip counts as finished
+const STATS_BINS      = [-60, 60, 180, 300, 600, 1200];   // delay histogram edges (s): early | on time | 1–3 | 3–5 | 5–10 | 10–20 | 20+ min
+const STATS_HIST      = STATS_BINS.map((_, i) => `h${i}`).concat(`h${STATS_BINS.length}`);
+const STATS_GROUPS    = ["line", "dir", "hour"];
+
+// Line code of a tagged (agency-prefixed) vehicle or canceled trip, as the frontend keys lines
+function statsLine(t) {
+  const agency = t.agency || DEFAULT_AGENCY;
+  return prefixId(agency, lineCodeOf(agency, splitId(t.tripId)[1], t.routeId ? splitId(t.routeId)[1] : ""));
+}
+
+function delayBin(delay) {
+  let i = 0;
+  while (i < STATS_BINS.length && delay >= STATS_BINS[i]) i++;
+  return i;
+}
+
+export class PunctualityStats extends DurableObject {
+  constructor(ctx, env) {
+    super(ctx, env);
+    this.sql  = ctx.storage.sql;
+    this.days = Number(env.STATS_DAYS) || STATS_DAYS;
+    this.sql.exec(`CREATE TABLE IF NOT EXISTS bucket (
+      line TEXT NOT NULL, dir INTEGER NOT NULL, hour INTEGER NOT NULL,
+      n INTEGER NOT NULL DEFAULT 0, delay_sum INTEGER NOT NULL DEFAULT 0,
+      ${STATS_HIST.map(h => `${h} INTEGER NOT NULL DEFAULT 0`).join(", ")},
+      trips INTEGER NOT NULL DEFAULT 0, canceled INTEGER NOT NULL DEFAULT 0,
+      PRIMARY KEY (line, dir, hour)
+    ) WITHOUT ROWID`);
+    this.sql.exec("CREATE INDEX IF NOT EXISTS bucket_hour ON bucket (hour)");
+    this.sql.exec(`CREATE TABLE IF NOT EXISTS trip (
+      id TEXT PRIMARY KEY, line TEXT NOT NULL, dir INTEGER NOT NULL, hour INTEGER NOT NULL,
+      last INTEGER NOT NULL, canceled INTEGER NOT NULL
+    ) WITHOUT ROWID`);
+    this.sql.exec("CREATE TABLE IF NOT EXISTS meta (k TEXT PRIMARY KEY, v INTEGER NOT NULL) WITHOUT ROWID");
+  }
+
+  async record(timestamp, vehicles, canceled) {
+    if (!timestamp) return 0;
+    const last = this.sql.exec("SELECT v FROM meta WHERE k = 'last'").toArray()[0]?.v ?? null;
+    if (last !== null && timestamp <= last) return 0;
+
+    const hour = timestamp - (timestamp % 3600);
+    const groups = new Map();
+    const trips  = [];
+    for (const v of vehicles || []) {
+      if (!v.tripId) continue;
+      const line = statsLine(v), dir = v.directionId ?? -1;
+      trips.push([v.tripId, line, dir, 0]);
+      if (v.delay == null) continue;
+      const key = `${line}\t${dir}`;
+      let g = groups.get(key);
+      if (!g) groups.set(key, g = { line, dir, n: 0, sum: 0, hist: STATS_HIST.map(() => 0) });
+      g.n++; g.sum += v.delay; g.hist[delayBin(v.delay)]++;
+    }
+    for (const c of canceled || []) trips.push([c.tripId, statsLine(c), c.directionId ?? -1, c.skipped ? 0 : 1]);
+
+    const cols = ["n", "delay_sum", ...STATS_HIST];
+    this.ctx.storage.transactionSync(() => {
+      for (const g of groups.values()) {
+        this.sql.exec(
+          `INSERT INTO bucket (line, dir, hour, ${cols.join(", ")}) VALUES (?, ?, ?, ${cols.map(() => "?").join(", ")})
+           ON CONFLICT (line, dir, hour) DO UPDATE SET ${cols.map(c => `${c} = ${c} + excluded.${c}`).join(", ")}`,
+          g.line, g.dir, hour, g.n, g.sum, ...g.hist
+        );
+      }
+      for (const [id, line, dir, isCanceled] of trips) {
+        this.sql.exec(
+          `INSERT INTO trip VALUES (?, ?, ?, ?, ?, ?)
+           ON CONFLICT (id) DO UPDATE SET last = excluded.last, canceled = MAX(canceled, excluded.canceled)`,
+          id, line, dir, hour, timestamp, isCanceled
+        );
+      }
+      this.sql.exec("INSERT OR REPLACE INTO meta VALUES ('last', ?)", timestamp);
+    });
+
+    if ((await this.ctx.storage.getAlarm()) === null)
+      await this.ctx.storage.setAlarm(Date.now() + STATS_ROLLUP_S * 1000);
+    return trips.length;
+  }
+
+  /**
+   * Buckets in [from, to) summed per `group` ("line", "dir" or "hour"), optionally for one line.
+   * Trips still running are included, so the current hour's trip counts are live.
+   */
+  summary(from, to, line, group) {
+    if (!STATS_GROUPS.includes(group)) throw new Error(`Unknown group "${group}"`);
+    const cols = ["n", "delay_sum", ...STATS_HIST, "trips", "canceled"];
+    const where = `hour >= ? AND hour < ?${line ? " AND line = ?" : ""}`;
+    const args  = line ? [from, to, line] : [from, to];
+    return this.sql.exec(
+      `SELECT ${group} AS k, ${cols.map(c => `SUM(${c}) AS ${c}`).join(", ")} FROM (
+         SELECT line, dir, hour, ${cols.join(", ")} FROM bucket WHERE ${where}
+         UNION ALL
+         SELECT line, dir, hour, ${cols.slice(0, -2).map(c => `0 AS ${c}`).join(", ")}, COUNT(*) AS trips, SUM(canceled) AS canceled
+           FROM trip WHERE ${where} GROUP BY line, dir, hour
+       ) GROUP BY ${group} ORDER BY ${group === "line" ? "n DESC" : group}`,
+      ...args, ...args
+    ).toArray();
+  }
+
+  // Fold trips that left the feed into their buckets and drop buckets past retention
+  rollup(now) {
+    const finished = now - STATS_TRIP_IDLE;
+    this.ctx.storage.transactionSync(() => {
+      this.sql.exec(
+        `INSERT INTO bucket (line, dir, hour, trips, canceled)
+         SELECT line, dir, hour, COUNT(*), SUM(canceled) FROM trip WHERE last < ? GROUP BY line, dir, hour
+         ON CONFLICT (line, dir, hour) DO UPDATE SET trips = trips + excluded.trips, canceled = canceled + excluded.canceled`,
+        finished
+      );
+      this.sql.exec("DELETE FROM trip WHERE last < ?", finished);
+      this.sql.exec("DELETE FROM bucket WHERE hour < ?", now - this.days * 86400);
+    });
+  }
+
+  async alarm() {
+    this.rollup(Math.floor(Date.now() / 1000));
+    const left = this.sql.exec("SELECT (SELECT COUNT(*) FROM trip) + (SELECT COUNT(*) FROM bucket) AS n").one().n;
+    if (left > 0) await this.ctx.storage.setAlarm(Date.now() + STATS_ROLLUP_S * 1000);
+  }
+}
+
+function statsStub(env) {
+  return env.STATS ? env.STATS.get(env.STATS.idFromName("global")) : null;
+}
+
+// Fire-and-forget, like recordHistory
+function recordStats(env, ctx, feed) {
+  const stub = statsStub(env);
+  if (!stub) return;
+  ctx.waitUntil(
+    stub.record(feed.timestamp, feed.vehicles, feed.canceled).catch(err => console.error("[GT] stats record:", err.message))
+  );
+}
+
+// One summed bucket row → API shape. Percentages have one decimal, delays are seconds.
+function statsRow(r) {
+  const hist = STATS_HIST.map(h => r[h] || 0);
+  const n = r.n || 0, trips = r.trips || 0, canceled = r.canceled || 0;
+  const pct = (a, b) => b ? Math.round(a / b * 1000) / 10 : null;
+  return {
+    n,
+    early:      hist[0],
+    onTime:     hist[1],
+    late:       n - hist[0] - hist[1],
+    onTimePct:  pct(hist[1], n),
+    avgDelay:   n ? Math.round(r.delay_sum / n) : null,
+    hist,
+    trips,
+    canceled,
+    cancelRate: pct(canceled, trips),
+  };
+}
+
 // ── Worker ────────────────────────────────────────────────────────────────────
 export default {
   async fetch(request, env, ctx) {
@@ -284,97 +1852,374 @@ export default {
 
     if (request.method === "OPTIONS") return new Response(null, { headers: CORS });
 
+    // ── /api/health — upstream status at this location (never rate limited) ──
+    // 503 when every realtime feed's last upstream call failed (see healthOf).
+    if (url.pathname === "/api/health") {
+      const hit    = await cache.match(new Request(HEALTH_CACHE_KEY));
+      const health = hit ? await hit.json() : {};
+      const now    = Math.floor(Date.now() / 1000);
+      const sources = Object.fromEntries(enabledAgencies(env).map(a => [a, healthOf(health[a], now)]));
+      if (env.DL_OPDA) sources.kern = healthOf(health.kern, now);
+      const feeds  = enabledAgencies(env).map(a => sources[a].status);
+      const status = !feeds.length ? "unconfigured"
+        : feeds.every(s => s === "failing") ? "down"
+        : Object.values(sources).some(s => s.status === "failing") ? "degraded" : "ok";
+      return jsonResp(
+        { status, time: now, colo: request.cf?.colo ?? null, window: HEALTH_WINDOW, sources },
+        status === "down" ? 503 : 200,
+        { "Cache-Control": "no-store" }
+      );
+    }
+
+    if (url.pathname.startsWith("/api/") && await rateLimited(env.API_LIMIT, request)) return tooManyRequests();
+
+    // ── /api/feeds — agency registry for the frontend ────────────────────────
+    // In replay mode `replay` carries the recorded range, and the recorded agencies are the live ones.
+    if (url.pathname === "/api/feeds") {
+      let replay = null;
+      try {
+        const store = replayStore(env);
+        if (store) replay = await replayRange(store) ?? { from: null, to: null, agencies: {} };
+      } catch (err) { return jsonResp({ error: err.message }, err.status ?? 502); }
+      const live = new Set(replay ? Object.keys(replay.agencies) : enabledAgencies(env));
+      const agencies = Object.entries(FEEDS).map(([id, f]) => ({
+        id, name: f.name, color: f.color, ids: f.ids, base: agencyBase(id), realtime: live.has(id),
+      }));
+      return jsonResp(
+        { default: DEFAULT_AGENCY, agencies, ...(replay && { replay }) },
+        200,
+        { "Cache-Control": replay ? "no-store" : `public, max-age=${FEEDS_TTL}` }
+      );
+    }
+
     // ── /api/gtfs — GTFS-RT vehicle feed ─────────────────────────────────────
-    if (url.pathname === "/api/gtfs") {
-      if (!env.DL_GTFSRT)
-        return jsonResp({ error: "Secret DL_GTFSRT not configured. Run: wrangler secret put DL_GTFSRT" }, 500);
-
-      const cacheReq = new Request(CACHE_KEY);
-      const cached   = await cache.match(cacheReq);
-      if (cached) {
-        const headers = new Headers(cached.headers);
-        Object.entries(CORS).forEach(([k, v]) => headers.set(k, v));
-        headers.set("X-Cache", "HIT");
-        return new Response(cached.body, { status: cached.status, headers });
+    // Alerts are split off into their own cache entry so the vehicle payload stays slim.
+    // One failing agency doesn't take the others down: it is reported under `sources`.
+    // ?format=json (default) | pb (raw upstream protobuf, ?agency=) | delta (&since=<feed timestamp>)
+    // In replay mode: the recordings at &at=<unix seconds> (see replayFeedResp).
+    if (url.pathname === "/api/gtfs" || url.pathname === "/api/alerts") {
+      const isAlerts   = url.pathname === "/api/alerts";
+      const format     = isAlerts ? "json" : requestedFormat(url, request);
+      if (!FEED_FORMATS.includes(format))
+        return jsonResp({ error: `Unknown format "${format}"`, formats: FEED_FORMATS }, 400);
+
+      if (env.REPLAY === "1") {
+        try { return await replayFeedResp(replayStore(env), cache, url, format, isAlerts); }
+        catch (err) { return jsonResp({ error: err.message, sources: err.sources }, err.status ?? 502, { "Cache-Control": "no-store" }); }
+      }
+
+      const agencies = enabledAgencies(env);
+      if (!agencies.length) return noFeedsError();
+
+      if (format === "pb") {
+        const agency = url.searchParams.get("agency") || DEFAULT_AGENCY;
+        if (!agencies.includes(agency))
+          return jsonResp({ error: `No realtime feed configured for agency "${agency}"`, agencies }, 404);
+        try {
+          return protoResp(await getProto(env, ctx, cache, agency));
+        } catch (err) {
+          return jsonResp({ error: err.message }, err.status ?? 502);
+        }
+      }
+
+      const hit = await cacheHit(cache, new Request(isAlerts ? ALERTS_CACHE_KEY : CACHE_KEY));
+      if (hit && format === "delta") return deltaResp(cache, await hit.json(), url, "HIT");
+      if (hit) return hit;
+
+      let feed;
+      try { feed = await decodeAndCache(env, ctx, cache, agencies); }
+      catch (err) { return jsonResp({ error: err.message, sources: err.sources }, err.status ?? 502); }
+
+      const { alerts, ...slim } = feed;
+      if (format === "delta") return deltaResp(cache, slim, url, "MISS");
+      return isAlerts ? alertsResp(feed, "MISS") : feedResp(slim, "MISS");
+    }
+
+    // ── /api/vehicles — vehicles in a bounding box ───────────────────────────
+    // ?bbox=<west>,<south>,<east>,<north>. The /api/gtfs JSON with `vehicles`
+    // filtered to the box (canceled trips and counts are feed-wide). Shares
+    // /api/gtfs's cache entry, so it costs no extra upstream call.
+    if (url.pathname === "/api/vehicles") {
+      const bbox = parseBbox(url.searchParams.get("bbox"));
+      if (!bbox) return jsonResp({ error: "Expected bbox=<west>,<south>,<east>,<north>" }, 400);
+      const agencies = enabledAgencies(env);
+      if (!agencies.length) return noFeedsError();
+
+      const hit = await cache.match(new Request(CACHE_KEY));
+      let slim = hit ? await hit.json() : null;
+      if (!slim) {
+        try { const { alerts, ...rest } = await decodeAndCache(env, ctx, cache, agencies); slim = rest; }
+        catch (err) { return jsonResp({ error: err.message, sources: err.sources }, err.status ?? 502); }
+      }
+      const vehicles = slim.vehicles.filter(v => inBbox(bbox, v.lat, v.lng));
+      return jsonResp({ ...slim, bbox, vehicles }, 200, { "X-Cache": hit ? "HIT" : "MISS", ...staleHeaders(slim) });
+    }
+
+    // ── /api/stops — stops in a bounding box ─────────────────────────────────
+    // ?bbox=<west>,<south>,<east>,<north>&zoom=<map zoom>. Below STOPS_FULL_ZOOM the
+    // stops are thinned to one per STOPS_THIN_PX pixels. Cache: STOPS_TTL per query.
+    if (url.pathname === "/api/stops") {
+      const bbox = parseBbox(url.searchParams.get("bbox"));
+      if (!bbox) return jsonResp({ error: "Expected bbox=<west>,<south>,<east>,<north>" }, 400);
+      const z    = parseInt(url.searchParams.get("zoom"), 10);
+      const zoom = Number.isFinite(z) ? Math.min(Math.max(z, 0), STOPS_FULL_ZOOM) : STOPS_FULL_ZOOM;
+
+      const stopsReq = new Request(`https://geotransport-cache.internal/api/stops?bbox=${bbox.join(",")}&zoom=${zoom}`);
+      const hit      = await cacheHit(cache, stopsReq);
+      if (hit) return hit;
+
+      let stops;
+      try { stops = await stopsInBbox(env, url.origin, bbox, zoom); }
+      catch (err) { return jsonResp({ error: err.message }, err.status ?? 500); }
+      if (!stops) return jsonResp({ error: "No stop tiles deployed. Run: node scripts/build-static-lookup.js" }, 503, { "Cache-Control": "no-store" });
+
+      const response = jsonResp(
+        { bbox, zoom, thinned: zoom < STOPS_FULL_ZOOM, count: Object.keys(stops).length, stops },
+        200,
+        { "X-Cache": "MISS", "Cache-Control": `public, max-age=${STOPS_TTL}` }
+      );
+      ctx.waitUntil(cache.put(stopsReq, response.clone()));
+      return response;
+    }
+
+    // ── /api/stream — WebSocket push of feed deltas (see FeedHub) ────────────
+    if (url.pathname === "/api/stream") {
+      if (!env.FEED_HUB) return jsonResp({ error: "Durable Object binding FEED_HUB not configured" }, 501);
+      if (env.REPLAY === "1") return jsonResp({ error: "No live stream in replay mode, poll /api/gtfs?at=" }, 409, { "Cache-Control": "no-store" });
+      if (request.headers.get("Upgrade") !== "websocket")
+        return jsonResp({ error: "Expected a WebSocket upgrade" }, 426, { "Cache-Control": "no-store" });
+      if (!enabledAgencies(env).length) return noFeedsError();
+      return env.FEED_HUB.get(env.FEED_HUB.idFromName("global")).fetch(request);
+    }
+
+    // ── /api/trip — per-stop predictions for a single trip ───────────────────
+    // Returns every StopTimeUpdate (arrival/departure delay + absolute time, SKIPPED flag)
+    // keyed by stop_id and stop_sequence. Cache: CACHE_TTL per trip ID.
+    if (url.pathname === "/api/trip") {
+      const tripId = url.searchParams.get("id") || "";
+      if (!tripId) return jsonResp({ error: "Missing trip id" }, 400);
+
+      const [agency, rawTripId] = splitId(tripId);
+
+      // Replay: the agency's recording at &at=, never cached under the live key
+      if (env.REPLAY === "1") {
+        try {
+          const store = replayStore(env);
+          const at    = await replayAt(store, url);
+          const trip  = extractTrip((await replayProto(store, agency, at)).raw, rawTripId);
+          if (!trip) return jsonResp({ error: "Trip not in recorded feed", tripId }, 404, { "Cache-Control": "no-store" });
+          tagTrip(trip, agency, tripId);
+          return jsonResp(trip, 200, { "Cache-Control": "no-store", "X-Cache": "REPLAY", "X-Replay-At": String(at) });
+        } catch (err) {
+          return jsonResp({ error: err.message }, err.status ?? 502, { "Cache-Control": "no-store" });
+        }
+      }
+
+      if (!feedRequest(FEEDS[agency].realtime, env)) {
+        if (agency === DEFAULT_AGENCY) return noFeedsError();
+        return jsonResp({ error: `Realtime feed for ${FEEDS[agency].name} not configured`, tripId }, 404);
       }
 
+      const tripReq = new Request(`https://geotransport-cache.internal/api/trip/${encodeURIComponent(tripId)}`);
+      const hit     = await cacheHit(cache, tripReq);
+      if (hit) return hit;
+
       let raw;
-      try { raw = await fetchProto(env); }
+      try { ({ raw } = await getProto(env, ctx, cache, agency)); }
       catch (err) { return jsonResp({ error: err.message }, err.status ?? 502); }
 
-      let feed;
-      try { feed = extractFeed(raw); }
+      let trip;
+      try { trip = extractTrip(raw, rawTripId); }
       catch (err) { return jsonResp({ error: "Protobuf decode failed", detail: err.message }, 500); }
 
-      const response = jsonResp(feed, 200, { "X-Cache": "MISS" });
-      ctx.waitUntil(cache.put(cacheReq, response.clone()));
+      if (!trip) return jsonResp({ error: "Trip not in realtime feed", tripId }, 404);
+      tagTrip(trip, agency, tripId);
+
+      const response = jsonResp(trip, 200, { "X-Cache": "MISS" });
+      ctx.waitUntil(cache.put(tripReq, response.clone()));
+      return response;
+    }
+
+    // ── /api/departures — scheduled departure board with live delays ─────────
+    // ?stop=<stopId>&limit=<n>&window=<minutes ahead>. Cache: CACHE_TTL per stop.
+    if (url.pathname === "/api/departures") {
+      const stop = url.searchParams.get("stop") || "";
+      if (!stop) return jsonResp({ error: "Missing stop id" }, 400);
+      const num = (k, def, max) => {
+        const v = parseInt(url.searchParams.get(k), 10);
+        return v > 0 ? Math.min(v, max) : def;
+      };
+      const opts = { limit: num("limit", DEPARTURES_LIMIT, DEPARTURES_MAX_LIMIT), window: num("window", DEPARTURES_WINDOW, DEPARTURES_MAX_WINDOW) };
+
+      const [agency, rawStop] = splitId(stop);
+      const stopRt = raw => {
+        const rt = extractStopUpdates(raw, rawStop);
+        rt.trips = new Map([...rt.trips].map(([id, t]) => [tripKeyOf(agency, id), t]));
+        return rt;
+      };
+
+      // Replay: the timetable at &at= with the agency's recording then, uncached
+      if (env.REPLAY === "1") {
+        let store, rt = null;
+        try { store = replayStore(env); opts.now = await replayAt(store, url); }
+        catch (err) { return jsonResp({ error: err.message }, err.status ?? 502, { "Cache-Control": "no-store" }); }
+        try { rt = stopRt((await replayProto(store, agency, opts.now)).raw); }
+        catch (err) { console.error(`[GT] departures ${stop}: no recording:`, err.message); }
+
+        let board;
+        try { board = await buildDepartures(env, url.origin, agency, rawStop, rt, opts); }
+        catch (err) { return jsonResp({ error: "Departures failed", detail: err.message }, 500, { "Cache-Control": "no-store" }); }
+        if (!board) return jsonResp({ error: "Unknown stop", stop }, 404, { "Cache-Control": "no-store" });
+        return jsonResp(board, 200, { "Cache-Control": "no-store", "X-Cache": "REPLAY", "X-Replay-At": String(opts.now) });
+      }
+
+      const depReq = new Request(`https://geotransport-cache.internal/api/departures/${encodeURIComponent(stop)}?limit=${opts.limit}&window=${opts.window}`);
+      const hit    = await cacheHit(cache, depReq);
+      if (hit) return hit;
+
+      let rt = null;
+      if (feedRequest(FEEDS[agency].realtime, env)) {
+        try { rt = stopRt((await getProto(env, ctx, cache, agency)).raw); }
+        catch (err) { console.error(`[GT] departures ${stop}: realtime unavailable:`, err.message); }
+      }
+
+      let board;
+      try { board = await buildDepartures(env, url.origin, agency, rawStop, rt, opts); }
+      catch (err) { return jsonResp({ error: "Departures failed", detail: err.message }, 500); }
+      if (!board) return jsonResp({ error: "Unknown stop", stop }, 404);
+
+      const response = jsonResp(board, 200, { "X-Cache": "MISS" });
+      ctx.waitUntil(cache.put(depReq, response.clone()));
       return response;
     }
 
+    // ── /api/anomalies — inferred trips, off-shape / stale vehicles, ghost trips ─
+    // Every configured agency with a static bundle, merged. Cache: ANOMALIES_TTL.
+    if (url.pathname === "/api/anomalies") {
+      const agencies = enabledAgencies(env);
+      if (!agencies.length) return noFeedsError();
+
+      const anomReq = new Request(ANOMALIES_CACHE_KEY);
+      const hit     = await cacheHit(cache, anomReq);
+      if (hit) return hit;
+
+      const out = { timestamp: 0, inferred: [], anomalies: [], ghosts: [], sources: {} };
+      await Promise.all(agencies.map(async agency => {
+        try {
+          const r = await buildAnomalies(env, url.origin, agency, (await getProto(env, ctx, cache, agency)).raw);
+          if (!r) { out.sources[agency] = { error: "No static bundle deployed" }; return; }
+          out.timestamp = Math.max(out.timestamp, r.timestamp);
+          for (const k of ["inferred", "anomalies", "ghosts"]) out[k].push(...r[k]);
+          out.sources[agency] = { timestamp: r.timestamp, inferred: r.inferred.length, anomalies: r.anomalies.length, ghosts: r.ghosts.length };
+        } catch (err) {
+          out.sources[agency] = { error: err.message };
+          console.error(`[GT] anomalies ${agency}:`, err.message);
+        }
+      }));
+
+      const response = jsonResp(out, 200, { "X-Cache": "MISS", "Cache-Control": `public, max-age=${ANOMALIES_TTL}` });
+      ctx.waitUntil(cache.put(anomReq, response.clone()));
+      return response;
+    }
+
+    // ── /api/history — recorded positions for one vehicle ────────────────────
+    // ?vehicle=<id>&since=<unix seconds>   (since defaults to one hour ago)
+    if (url.pathname === "/api/history") {
+      const stub = historyStub(env);
+      if (!stub) return jsonResp({ error: "Durable Object binding HISTORY not configured" }, 501);
+
+      const vehicleId = url.searchParams.get("vehicle") || "";
+      if (!vehicleId) return jsonResp({ error: "Missing vehicle id" }, 400);
+
+      const sinceParam = url.searchParams.get("since");
+      const since = sinceParam && isFinite(sinceParam) ? Number(sinceParam) : Math.floor(Date.now() / 1000) - 3600;
+
+      try {
+        const points = await stub.history(vehicleId, since);
+        return jsonResp({ vehicleId, since, points }, 200, { "Cache-Control": "no-store" });
+      } catch (err) {
+        return jsonResp({ error: "History lookup failed", detail: err.message }, 500);
+      }
+    }
+
+    // ── /api/stats — punctuality over time ───────────────────────────────────
+    // ?from=&to= (unix seconds, default the last 24 h): every line's totals.
+    // &line=<lineCode>: that line's totals, per direction and per hour.
+    if (url.pathname === "/api/stats") {
+      const stub = statsStub(env);
+      if (!stub) return jsonResp({ error: "Durable Object binding STATS not configured" }, 501);
+
+      const now   = Math.floor(Date.now() / 1000);
+      const param = (k, def) => { const v = url.searchParams.get(k); return v && isFinite(v) ? Number(v) : def; };
+      const to    = param("to", now);
+      const from  = param("from", to - 86400);
+      if (from >= to) return jsonResp({ error: "from must be before to" }, 400);
+      const line  = url.searchParams.get("line") || null;
+      const edges = { bins: STATS_BINS };
+
+      try {
+        if (!line) {
+          const lines = (await stub.summary(from, to, null, "line")).map(r => ({ line: r.k, ...statsRow(r) }));
+          return jsonResp({ from, to, ...edges, lines }, 200, { "Cache-Control": `public, max-age=${STATS_TTL}` });
+        }
+        const [dirs, hours] = await Promise.all([stub.summary(from, to, line, "dir"), stub.summary(from, to, line, "hour")]);
+        const total = statsRow(Object.fromEntries(["n", "delay_sum", ...STATS_HIST, "trips", "canceled"]
+          .map(c => [c, dirs.reduce((s, r) => s + (r[c] || 0), 0)])));
+        return jsonResp({
+          from, to, ...edges, line, total,
+          directions: dirs.map(r => ({ directionId: r.k, ...statsRow(r) })),
+          hours:      hours.map(r => ({ hour: r.k, ...statsRow(r) })),
+        }, 200, { "Cache-Control": `public, max-age=${STATS_TTL}` });
+      } catch (err) {
+        return jsonResp({ error: "Stats lookup failed", detail: err.message }, 500);
+      }
+    }
+
     // ── /api/kern/halte-rt — live departure board for a single stop ───────────
     // Upstream: GET /DLKernOpenData/api/v1/haltes/{entiteit}/{stopId}/real-time
     // Auth:     DL_OPDA secret (separate subscription from DL_GTFSRT)
     // Cache:    20 s per stop ID
+    // Replay:   the stop's recording at &at=<unix seconds>, at most KERN_REPLAY_MAX old
     if (url.pathname === "/api/kern/halte-rt") {
-      if (!env.DL_OPDA)
-        return jsonResp({ error: "Secret DL_OPDA not configured. Run: wrangler secret put DL_OPDA" }, 500);
-
       const stopId = url.searchParams.get("id") || "";
       if (!stopId || !/^\d+$/.test(stopId))
         return jsonResp({ error: "Missing or invalid stop id" }, 400);
 
-      const entiteit    = stopId[0];   // first digit = province entity number (1–5)
+      if (env.REPLAY === "1") {
+        try {
+          const store = replayStore(env);
+          const at    = await replayAt(store, url);
+          const found = await findRecording(store, "kern", stopId, at, KERN_REPLAY_MAX);
+          const raw   = found && await store.get(found.key);
+          if (!raw) return jsonResp({ error: `No recording of stop ${stopId} at ${new Date(at * 1000).toISOString()}` }, 404, { "Cache-Control": "no-store" });
+          return jsonResp({ doorkomsten: slimDoorkomsten(JSON.parse(dec.decode(raw))) }, 200,
+            { "Cache-Control": "no-store", "X-Cache": "REPLAY", "X-Replay-At": String(at), "X-Recorded-At": String(found.t) });
+        } catch (err) {
+          return jsonResp({ error: err.message }, err.status ?? 502, { "Cache-Control": "no-store" });
+        }
+      }
+
+      if (!env.DL_OPDA)
+        return jsonResp({ error: "Secret DL_OPDA not configured. Run: wrangler secret put DL_OPDA" }, 500);
+
       const kernCacheKey = `https://geotransport-cache.internal/kern/halte-rt/${stopId}`;
       const kernReq      = new Request(kernCacheKey);
 
-      const kernCached = await cache.match(kernReq);
-      if (kernCached) {
-        const headers = new Headers(kernCached.headers);
-        Object.entries(CORS).forEach(([k, v]) => headers.set(k, v));
-        headers.set("X-Cache", "HIT");
-        return new Response(kernCached.body, { status: kernCached.status, headers });
-      }
+      const kernCached = await cacheHit(cache, kernReq);
+      if (kernCached) return kernCached;
 
-      let raw;
-      try {
-        const upstream = await fetch(
-          `${KERN_BASE}/${entiteit}/${stopId}/real-time?maxAantalDoorkomsten=8`,
-          {
-            headers: {
-              "Ocp-Apim-Subscription-Key": env.DL_OPDA,
-              "Accept": "application/json",
-              "Cache-Control": "no-cache",
-            },
-          }
+      if (await rateLimited(env.KERN_LIMIT, request)) return tooManyRequests();
+
+      let doorkomsten;
+      try { doorkomsten = await coalesce(`kern/${stopId}`, () => fetchKern(env, ctx, cache, stopId)); }
+      catch (err) {
+        return jsonResp(
+          { error: err.message, ...(err.detail && { detail: err.detail }) },
+          !err.status || err.status >= 500 ? 502 : err.status,
+          { "Cache-Control": "no-store" }
         );
-        if (!upstream.ok) {
-          let errBody = '';
-          try { errBody = await upstream.text(); } catch(_) {}
-          console.error(`[GT] Kern API ${upstream.status} for stop ${stopId}:`, errBody.slice(0, 400));
-          return jsonResp(
-            { error: `De Lijn Kern API ${upstream.status}`, detail: errBody.slice(0, 400) },
-            upstream.status >= 500 ? 502 : upstream.status,
-            { "Cache-Control": "no-store" }
-          );
-        }
-        raw = await upstream.json();
-      } catch (err) {
-        return jsonResp({ error: "Fetch failed: " + err.message }, 502);
       }
 
-      // Slim response — strip all `links` arrays and keep only what the UI renders.
-      const doorkomsten = (raw.doorkomsten || []).map(d => ({
-        lijnnummer: d.lijnnummer  ?? null,
-        richting:   d.richting    ?? null,
-        bestemming: d.bestemming  ?? null,
-        vias:       Array.isArray(d.vias) ? d.vias : [],
-        scheduled:  d.dienstregelingTijdstip ?? null,
-        realtime:   d["real-timeTijdstip"]   ?? null,
-        vrtnum:     d.vrtnum ?? null,
-        // Normalise the status array — upstream field is predictionStatussen
-        status:     Array.isArray(d.predictionStatussen) ? d.predictionStatussen : [],
-      }));
-
       const slim = { doorkomsten };
       const kernResp = new Response(JSON.stringify(slim), {
         status: 200,